@@ -0,0 +1,37 @@
+import 'dotenv/config';
+import { getDb } from '../src/db.js';
+import { migrate, migrationStatus } from '../src/migrate.js';
+
+// Usage: node scripts/migrate.js [status|up]
+const command = process.argv[2] || 'status';
+const db = getDb();
+
+function printStatus() {
+  return migrationStatus(db).then(rows => {
+    for (const m of rows) {
+      const state = m.applied ? `applied ${m.applied_at}` : 'pending';
+      console.log(`${m.version}_${m.name}`.padEnd(36) + state);
+    }
+    if (rows.length === 0) console.log('No migrations found');
+  });
+}
+
+let task;
+if (command === 'status') {
+  task = printStatus();
+} else if (command === 'up') {
+  task = migrate(db, { log: msg => console.log(msg) }).then(applied => {
+    if (applied.length === 0) console.log('Database is up to date');
+  });
+} else {
+  console.error(`Unknown command "${command}". Use "status" or "up".`);
+  process.exitCode = 1;
+  task = Promise.resolve();
+}
+
+task
+  .catch(err => {
+    console.error(err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
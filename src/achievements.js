@@ -0,0 +1,140 @@
+import { getDb } from './db.js';
+import { wrap } from './migrate.js';
+import { computeStats, fetchUserEntries } from './personalStats.js';
+import { todayIn } from './timezone.js';
+
+const db = getDb();
+const q = wrap(db);
+
+// Badge rules. 'user' badges follow the runner's entries (the same ones the
+// personal stats count) and are taken away again if those entries go. 'event'
+// badges are awarded once from an event's frozen final standings.
+export const ACHIEVEMENTS = [
+  { code: 'first_run', scope: 'user', icon: '👟', name: 'First Steps', description: 'Logged your first run', earned: s => s.all_time.entries >= 1 },
+  { code: 'km_100', scope: 'user', icon: '💯', name: '100 km Club', description: 'Ran 100 km in total', earned: s => s.all_time.km >= 100 },
+  { code: 'km_500', scope: 'user', icon: '🏃', name: '500 km Club', description: 'Ran 500 km in total', earned: s => s.all_time.km >= 500 },
+  { code: 'km_1000', scope: 'user', icon: '🚀', name: '1,000 km Club', description: 'Ran 1,000 km in total', earned: s => s.all_time.km >= 1000 },
+  { code: 'streak_7', scope: 'user', icon: '🔥', name: 'Week Streak', description: 'Ran 7 days in a row', earned: s => s.streaks.longest.days >= 7 },
+  { code: 'streak_30', scope: 'user', icon: '⚡', name: '30-Day Streak', description: 'Ran 30 days in a row', earned: s => s.streaks.longest.days >= 30 },
+  {
+    code: 'event_goal', scope: 'event', icon: '🎯', name: 'Goal Reached', description: "Reached an event's km goal",
+    earned: (result, event) => Number(event.km_goal) > 0 && result.total_km >= Number(event.km_goal)
+  },
+  {
+    code: 'event_podium', scope: 'event', icon: '🏆', name: 'Podium Finish', description: 'Finished an event in the top 3',
+    earned: result => result.rank <= 3 && result.total_km > 0,
+    detail: result => `#${result.rank}`
+  }
+];
+
+const BY_CODE = new Map(ACHIEVEMENTS.map(a => [a.code, a]));
+
+// What the API sends for a rule, without the functions
+export function describeAchievement(a) {
+  return { code: a.code, scope: a.scope, icon: a.icon, name: a.name, description: a.description };
+}
+
+// Milestones count approved entries only, like the rankings the badges are shown in
+function userEntries(userId) {
+  return new Promise((resolve, reject) => {
+    fetchUserEntries(userId, { approvedOnly: true }, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+// Awards the user's milestone badges they now qualify for and removes the ones
+// they no longer do. Resolves with the codes that were newly earned.
+export async function evaluateUserAchievements(userId) {
+  const stats = computeStats(await userEntries(userId), todayIn());
+  const held = new Set(
+    (await q.all('SELECT code FROM user_achievements WHERE user_id = ? AND event_id IS NULL', [userId])).map(r => r.code)
+  );
+  const earned = [];
+  for (const a of ACHIEVEMENTS) {
+    if (a.scope !== 'user') continue;
+    const qualifies = a.earned(stats);
+    if (qualifies && !held.has(a.code)) {
+      await q.run('INSERT OR IGNORE INTO user_achievements (user_id, code) VALUES (?, ?)', [userId, a.code]);
+      earned.push(a.code);
+    } else if (!qualifies && held.has(a.code)) {
+      await q.run('DELETE FROM user_achievements WHERE user_id = ? AND code = ? AND event_id IS NULL', [userId, a.code]);
+    }
+  }
+  return earned;
+}
+
+// For routes: re-checks a user's badges after their entries changed without
+// holding up the response. A failure only delays the badge until the next check.
+export function refreshAchievements(userId) {
+  if (!userId) return;
+  evaluateUserAchievements(userId).catch(err => {
+    // eslint-disable-next-line no-console
+    console.error(`Achievement check failed for user ${userId}:`, err.message);
+  });
+}
+
+// Awards the event badges from a closed event's frozen standings. Safe to run
+// more than once. Resolves with the number of badges added.
+export async function awardEventAchievements(eventId) {
+  const event = await q.get('SELECT * FROM events WHERE id = ?', [eventId]);
+  if (!event || event.status !== 'closed') return 0;
+  const results = await q.all('SELECT * FROM event_results WHERE event_id = ?', [eventId]);
+  let added = 0;
+  for (const r of results) {
+    for (const a of ACHIEVEMENTS) {
+      if (a.scope !== 'event' || !a.earned(r, event)) continue;
+      const { changes } = await q.run(
+        'INSERT OR IGNORE INTO user_achievements (user_id, code, event_id, detail) VALUES (?, ?, ?, ?)',
+        [r.user_id, a.code, eventId, a.detail ? a.detail(r) : null]
+      );
+      added += changes || 0;
+    }
+  }
+  return added;
+}
+
+function withRule(row) {
+  const a = BY_CODE.get(row.code);
+  if (!a) return null;
+  return { ...describeAchievement(a), event_id: row.event_id, event_name: row.event_name || null, detail: row.detail, earned_at: row.earned_at };
+}
+
+// A user's badges, newest first
+export function fetchUserAchievements(userId, cb) {
+  db.all(
+    `SELECT ua.code, ua.event_id, ua.detail, ua.earned_at, ev.name AS event_name
+     FROM user_achievements ua
+     LEFT JOIN events ev ON ev.id = ua.event_id
+     WHERE ua.user_id = ? AND (ua.event_id IS NULL OR ev.deleted_at IS NULL)
+     ORDER BY ua.earned_at DESC, ua.id DESC`,
+    [userId],
+    (err, rows) => {
+      if (err) return cb(err);
+      cb(null, (rows || []).map(withRule).filter(Boolean));
+    }
+  );
+}
+
+// Adds a badges list to each ranking row: the runner's milestone badges plus
+// the ones earned in this event
+export function attachBadges(rows, eventId, cb) {
+  const ids = [...new Set(rows.map(r => r.id))];
+  if (!ids.length) return cb(null, rows);
+  db.all(
+    `SELECT user_id, code, event_id, detail, earned_at
+     FROM user_achievements
+     WHERE user_id IN (${ids.map(() => '?').join(',')}) AND (event_id IS NULL OR event_id = ?)
+     ORDER BY earned_at ASC, id ASC`,
+    [...ids, eventId],
+    (err, badgeRows) => {
+      if (err) return cb(err);
+      const byUser = new Map();
+      for (const b of badgeRows || []) {
+        const badge = withRule(b);
+        if (!badge) continue;
+        if (!byUser.has(b.user_id)) byUser.set(b.user_id, []);
+        byUser.get(b.user_id).push(badge);
+      }
+      cb(null, rows.map(r => ({ ...r, badges: byUser.get(r.id) || [] })));
+    }
+  );
+}
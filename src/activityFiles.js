@@ -0,0 +1,176 @@
+import fs from 'fs';
+import path from 'path';
+import { XMLParser } from 'fast-xml-parser';
+import FitParserModule from 'fit-file-parser';
+import { appTimezone, localDate } from './timezone.js';
+
+const FitParser = FitParserModule.default || FitParserModule;
+
+// Anything slower than this between two trackpoints is treated as standing still
+const MOVING_SPEED_MPS = 0.5;
+// Keep stored tracks small; admins only need the shape of the route as proof
+const MAX_STORED_POINTS = 500;
+
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  removeNSPrefix: true,
+  isArray: name => ['trk', 'trkseg', 'trkpt', 'Activity', 'Lap', 'Track', 'Trackpoint'].includes(name)
+});
+
+export const ACTIVITY_FORMATS = ['gpx', 'tcx', 'fit'];
+
+export function detectActivityFormat(originalname) {
+  const ext = path.extname(originalname || '').slice(1).toLowerCase();
+  return ACTIVITY_FORMATS.includes(ext) ? ext : null;
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function haversineMeters(a, b) {
+  const R = 6371000;
+  const rad = deg => deg * Math.PI / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLon = rad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(h));
+}
+
+// Distance and moving time computed from raw trackpoints ({ lat, lon, time })
+function summarizePoints(points) {
+  let meters = 0;
+  let movingSeconds = 0;
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1];
+    const cur = points[i];
+    if (prev.lat == null || cur.lat == null) continue;
+    const d = haversineMeters(prev, cur);
+    meters += d;
+    if (prev.time && cur.time) {
+      const dt = (cur.time - prev.time) / 1000;
+      if (dt > 0 && d / dt >= MOVING_SPEED_MPS) movingSeconds += dt;
+    }
+  }
+  return { meters, movingSeconds };
+}
+
+function downsample(points) {
+  const withPosition = points.filter(p => p.lat != null && p.lon != null);
+  if (withPosition.length <= MAX_STORED_POINTS) return withPosition;
+  const step = withPosition.length / MAX_STORED_POINTS;
+  const out = [];
+  for (let i = 0; i < MAX_STORED_POINTS; i++) out.push(withPosition[Math.floor(i * step)]);
+  out.push(withPosition[withPosition.length - 1]);
+  return out;
+}
+
+function parseGpx(text) {
+  const doc = xmlParser.parse(text);
+  const points = [];
+  for (const trk of toArray(doc.gpx && doc.gpx.trk)) {
+    for (const seg of toArray(trk.trkseg)) {
+      for (const pt of toArray(seg.trkpt)) {
+        points.push({
+          lat: Number(pt.lat),
+          lon: Number(pt.lon),
+          time: pt.time ? new Date(pt.time) : null
+        });
+      }
+    }
+  }
+  if (points.length < 2) throw new Error('GPX file has no track');
+  const { meters, movingSeconds } = summarizePoints(points);
+  const firstTimed = points.find(p => p.time);
+  return { meters, movingSeconds, startTime: firstTimed ? firstTimed.time : null, points };
+}
+
+function parseTcx(text) {
+  const doc = xmlParser.parse(text);
+  const activities = toArray(doc.TrainingCenterDatabase && doc.TrainingCenterDatabase.Activities && doc.TrainingCenterDatabase.Activities.Activity);
+  if (activities.length === 0) throw new Error('TCX file has no activity');
+  const laps = toArray(activities[0].Lap);
+  const points = [];
+  let lapMeters = 0;
+  let lapSeconds = 0;
+  for (const lap of laps) {
+    lapMeters += Number(lap.DistanceMeters) || 0;
+    lapSeconds += Number(lap.TotalTimeSeconds) || 0;
+    for (const track of toArray(lap.Track)) {
+      for (const tp of toArray(track.Trackpoint)) {
+        const pos = tp.Position || {};
+        points.push({
+          lat: pos.LatitudeDegrees !== undefined ? Number(pos.LatitudeDegrees) : null,
+          lon: pos.LongitudeDegrees !== undefined ? Number(pos.LongitudeDegrees) : null,
+          time: tp.Time ? new Date(tp.Time) : null
+        });
+      }
+    }
+  }
+  // Lap totals come from the device and already exclude pauses, so prefer them
+  const fromPoints = summarizePoints(points);
+  const startTime = laps[0] && laps[0].StartTime ? new Date(laps[0].StartTime) : (points[0] && points[0].time) || null;
+  return {
+    meters: lapMeters || fromPoints.meters,
+    movingSeconds: lapSeconds || fromPoints.movingSeconds,
+    startTime,
+    points
+  };
+}
+
+function parseFit(buffer) {
+  return new Promise((resolve, reject) => {
+    const parser = new FitParser({ force: true, lengthUnit: 'm', speedUnit: 'm/s', mode: 'list' });
+    parser.parse(buffer, (err, data) => {
+      if (err) return reject(new Error('Unreadable FIT file'));
+      const records = data.records || [];
+      const points = records.map(r => ({
+        lat: r.position_lat != null ? Number(r.position_lat) : null,
+        lon: r.position_long != null ? Number(r.position_long) : null,
+        time: r.timestamp ? new Date(r.timestamp) : null
+      }));
+      const sessions = data.sessions || [];
+      let meters = sessions.reduce((sum, s) => sum + (Number(s.total_distance) || 0), 0);
+      let movingSeconds = sessions.reduce((sum, s) => sum + (Number(s.total_timer_time) || 0), 0);
+      if (!meters || !movingSeconds) {
+        const fromPoints = summarizePoints(points);
+        meters = meters || fromPoints.meters;
+        movingSeconds = movingSeconds || fromPoints.movingSeconds;
+      }
+      const startTime = sessions[0] && sessions[0].start_time ? new Date(sessions[0].start_time) : (points[0] && points[0].time) || null;
+      resolve({ meters, movingSeconds, startTime, points });
+    });
+  });
+}
+
+// Parse a GPX, TCX or FIT file into entry values. Pace is hours per km like the
+// entries table, and date is the start day in the given timezone.
+export function parseActivityFile(filePath, format, tz = appTimezone()) {
+  return fs.promises.readFile(filePath).then(buffer => {
+    if (format === 'gpx') return parseGpx(buffer.toString('utf8'));
+    if (format === 'tcx') return parseTcx(buffer.toString('utf8'));
+    if (format === 'fit') return parseFit(buffer);
+    throw new Error('Unsupported activity file type');
+  }).then(({ meters, movingSeconds, startTime, points }) => {
+    if (!meters || meters <= 0) throw new Error('Activity file has no distance');
+    const km = Math.round(meters) / 1000;
+    const hours = movingSeconds / 3600;
+    const validStart = startTime && !isNaN(startTime.getTime()) ? startTime : null;
+    const date = validStart ? localDate(validStart, tz) : null;
+    return {
+      format,
+      km,
+      hours,
+      pace: km > 0 && hours > 0 ? hours / km : null,
+      startTime: validStart ? validStart.toISOString() : null,
+      date,
+      points: downsample(points).map(p => [
+        Number(p.lat.toFixed(6)),
+        Number(p.lon.toFixed(6)),
+        p.time ? p.time.toISOString() : null
+      ])
+    };
+  });
+}
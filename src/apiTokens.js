@@ -0,0 +1,164 @@
+import crypto from 'crypto';
+import { getDb } from './db.js';
+import { isStaff } from './roles.js';
+
+const db = getDb();
+
+const TOKEN_PREFIX = 'lsr_';
+const MAX_TOKENS_PER_USER = 20;
+
+export const TOKEN_SCOPES = [
+  { scope: 'entries:read', description: 'Read your entries, stats and badges' },
+  { scope: 'entries:write', description: 'Submit, edit and delete your entries' },
+  { scope: 'events:read', description: 'Read events, teams and rankings' },
+  { scope: 'admin', description: 'Use the admin endpoints your role allows', staffOnly: true }
+];
+
+// The scope a token needs for each endpoint behind requireAuth. Endpoints not
+// listed here (joining events and teams, token management, ...) need a
+// logged-in session. Everything behind requireAdmin or requirePermission needs
+// the admin scope.
+const ROUTE_SCOPES = {
+  'GET /api/entries': 'entries:read',
+  'GET /api/entries/export': 'entries:read',
+  'GET /api/entries/history': 'entries:read',
+  'GET /api/stats': 'entries:read',
+  'GET /api/achievements': 'entries:read',
+  'GET /api/uploads/:id/file': 'entries:read',
+  'POST /api/entries': 'entries:write',
+  'PUT /api/entries/:id': 'entries:write',
+  'DELETE /api/entries/:id': 'entries:write',
+  'POST /api/activities/parse': 'entries:write',
+  'POST /api/uploads': 'entries:write',
+  'POST /api/events/:id/entry': 'entries:write',
+  'POST /api/entries/:id/attachments': 'entries:write',
+  'PUT /api/entries/:id/attachments/:uploadId': 'entries:write',
+  'DELETE /api/entries/:id/attachments/:uploadId': 'entries:write',
+  'GET /api/events': 'events:read',
+  'GET /api/events/:id/ranking': 'events:read',
+  'GET /api/events/:id/participants': 'events:read',
+  'GET /api/events/:id/entries': 'events:read',
+  'GET /api/teams': 'events:read',
+  'GET /api/users/:id/profile': 'events:read',
+  'GET /api/avatars/:filename': 'events:read'
+};
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseScopes(text) {
+  return String(text || '').split(',').filter(Boolean);
+}
+
+// The token from an "Authorization: Bearer <token>" header, or null
+export function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(req.get('authorization') || '');
+  return match ? match[1] : null;
+}
+
+// Scope needed by the route handling req (call from route middleware, where
+// req.route is set), or null if tokens can't be used for it
+export function routeScope(req) {
+  const method = req.method === 'HEAD' ? 'GET' : req.method;
+  return (req.route && ROUTE_SCOPES[`${method} ${req.route.path}`]) || null;
+}
+
+// Validates requested scopes; runners may not grant the admin scope.
+// Returns { scopes } or { error }.
+export function scopesFromBody(value, role) {
+  const requested = Array.isArray(value) ? value : parseScopes(value);
+  if (requested.length === 0) return { error: 'Pick at least one scope' };
+  const known = new Map(TOKEN_SCOPES.map(s => [s.scope, s]));
+  for (const scope of requested) {
+    const def = known.get(scope);
+    if (!def) return { error: `Unknown scope: ${scope}` };
+    if (def.staffOnly && !isStaff(role)) return { error: `Runners can't grant the ${scope} scope` };
+  }
+  // Keep the canonical order so the stored list is stable
+  return { scopes: TOKEN_SCOPES.map(s => s.scope).filter(s => requested.includes(s)) };
+}
+
+function tokenRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.token_prefix,
+    scopes: parseScopes(row.scopes),
+    created_at: row.created_at,
+    last_used_at: row.last_used_at
+  };
+}
+
+export function listApiTokens(userId, cb) {
+  db.all(
+    `SELECT id, name, token_prefix, scopes, created_at, last_used_at
+     FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC, id DESC`,
+    [userId],
+    (err, rows) => {
+      if (err) return cb(err);
+      cb(null, (rows || []).map(tokenRow));
+    }
+  );
+}
+
+// Creates a token for the user. The plain token is only returned here; the
+// database keeps its hash. Calls back with (err, token, limitReached).
+export function createApiToken(userId, name, scopes, cb) {
+  db.get('SELECT COUNT(*) AS n FROM api_tokens WHERE user_id = ?', [userId], (err, row) => {
+    if (err) return cb(err);
+    if (row.n >= MAX_TOKENS_PER_USER) return cb(null, null, true);
+    const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+    const prefix = token.slice(0, TOKEN_PREFIX.length + 6);
+    db.run(
+      'INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes) VALUES (?, ?, ?, ?, ?)',
+      [userId, name, hashToken(token), prefix, scopes.join(',')],
+      function(insErr) {
+        if (insErr) return cb(insErr);
+        db.get('SELECT * FROM api_tokens WHERE id = ?', [this.lastID], (getErr, saved) => {
+          if (getErr) return cb(getErr);
+          cb(null, { ...tokenRow(saved), token });
+        });
+      }
+    );
+  });
+}
+
+// Calls back with (err, deleted) where deleted is false if the user has no such token
+export function revokeApiToken(userId, tokenId, cb) {
+  db.run('DELETE FROM api_tokens WHERE id = ? AND user_id = ?', [tokenId, userId], function(err) {
+    if (err) return cb(err);
+    cb(null, this.changes > 0);
+  });
+}
+
+// Looks up a presented token and records that it was used. Calls back with
+// (err, auth) where auth is null for an unknown token, else
+// { tokenId, userId, role, timezone, mustChangePassword, scopes }. What the
+// admin scope allows follows the user's current role, not the one they had
+// when the token was made.
+export function authenticateToken(token, cb) {
+  if (!token) return cb(null, null);
+  db.get(
+    `SELECT t.id, t.user_id, t.scopes, u.role, u.timezone, u.must_change_password
+     FROM api_tokens t
+     JOIN users u ON u.id = t.user_id
+     WHERE t.token_hash = ? AND u.deleted_at IS NULL`,
+    [hashToken(token)],
+    (err, row) => {
+      if (err) return cb(err);
+      if (!row) return cb(null, null);
+      db.run('UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [row.id], (updErr) => {
+        if (updErr) return cb(updErr);
+        cb(null, {
+          tokenId: row.id,
+          userId: row.user_id,
+          role: row.role,
+          timezone: row.timezone || null,
+          mustChangePassword: !!row.must_change_password,
+          scopes: parseScopes(row.scopes)
+        });
+      });
+    }
+  );
+}
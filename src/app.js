@@ -6,8 +6,25 @@ import SQLiteStoreFactory from 'connect-sqlite3';
 import dotenv from 'dotenv';
 
 import { ensureDatabase } from './db.js';
+import { sessionOrToken } from './middleware.js';
+import { startLifecycleScheduler } from './eventLifecycle.js';
+import { startWebhookDispatcher } from './webhooks.js';
+import { startPurgeJob } from './trash.js';
+import { startOrphanCleanup } from './attachments.js';
+import { appTimezone, isValidTimezone } from './timezone.js';
 import cors from 'cors';
 import authRouter from './routes/auth.js';
+import exportsRouter from './routes/exports.js';
+import teamsRouter from './routes/teams.js';
+import statsRouter from './routes/stats.js';
+import achievementsRouter from './routes/achievements.js';
+import tokensRouter from './routes/tokens.js';
+import webhooksRouter from './routes/webhooks.js';
+import auditRouter from './routes/audit.js';
+import trashRouter from './routes/trash.js';
+import registrationRouter from './routes/registration.js';
+import profilesRouter from './routes/profiles.js';
+import rolesRouter from './routes/roles.js';
 import mainRouter from './routes/index.js';
 
 dotenv.config();
@@ -18,7 +35,17 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const SQLiteStore = SQLiteStoreFactory(session);
 
-ensureDatabase();
+// Behind a reverse proxy every request comes from the proxy's address. TRUST_PROXY
+// ('true', a hop count, or addresses/subnets as Express takes them) makes req.ip
+// the client's address from X-Forwarded-For, for the login limits and the audit log.
+function trustProxySetting(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value;
+}
+
+if (process.env.TRUST_PROXY) app.set('trust proxy', trustProxySetting(process.env.TRUST_PROXY));
 
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, '..', 'views'));
@@ -31,14 +58,15 @@ app.use(cors({ origin: true, credentials: true }));
 
 const SESSION_SECRET = process.env.SESSION_SECRET || 'dev_secret_change_me';
 
+// Scripts and devices authenticate with "Authorization: Bearer <API token>" instead
 app.use(
-  session({
+  sessionOrToken(session({
     store: new SQLiteStore({ db: 'sessions.db', dir: path.join(__dirname, '..', 'data') }),
     secret: SESSION_SECRET,
     resave: false,
     saveUninitialized: false,
     cookie: { maxAge: 1000 * 60 * 60 * 24 * 7 }
-  })
+  }))
 );
 
 app.use((req, res, next) => {
@@ -47,12 +75,62 @@ app.use((req, res, next) => {
 });
 
 app.use('/', authRouter);
+app.use('/', exportsRouter);
+app.use('/', teamsRouter);
+app.use('/', statsRouter);
+app.use('/', achievementsRouter);
+app.use('/', tokensRouter);
+app.use('/', webhooksRouter);
+app.use('/', auditRouter);
+app.use('/', trashRouter);
+app.use('/', registrationRouter);
+app.use('/', profilesRouter);
+app.use('/', rolesRouter);
 app.use('/', mainRouter);
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
+
+if (!isValidTimezone(appTimezone())) {
   // eslint-disable-next-line no-console
-  console.log(`Server listening on http://localhost:${PORT}`);
-});
+  console.error(`Unknown APP_TIMEZONE: ${appTimezone()}`);
+  process.exit(1);
+}
+
+// Don't accept requests until the schema is up to date
+ensureDatabase({
+  // eslint-disable-next-line no-console
+  log: msg => console.log(msg)
+})
+  .then(() => {
+    // Moves events through registration/active/grace and closes them on schedule
+    startLifecycleScheduler({
+      // eslint-disable-next-line no-console
+      log: msg => console.log(msg)
+    });
+    // Retries webhook deliveries that failed
+    startWebhookDispatcher({
+      // eslint-disable-next-line no-console
+      log: msg => console.log(msg)
+    });
+    // Permanently removes records that have been in the trash past the retention window
+    startPurgeJob({
+      // eslint-disable-next-line no-console
+      log: msg => console.log(msg)
+    });
+    // Removes uploads never attached to an entry and files nothing points to
+    startOrphanCleanup({
+      // eslint-disable-next-line no-console
+      log: msg => console.log(msg)
+    });
+    app.listen(PORT, () => {
+      // eslint-disable-next-line no-console
+      console.log(`Server listening on http://localhost:${PORT}`);
+    });
+  })
+  .catch(err => {
+    // eslint-disable-next-line no-console
+    console.error('Database setup failed:', err.message);
+    process.exit(1);
+  });
 
 
@@ -0,0 +1,110 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getDb } from './db.js';
+import { wrap } from './migrate.js';
+
+const db = getDb();
+const q = wrap(db);
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const uploadDir = path.join(__dirname, '..', 'uploads');
+
+// Screenshots and other images an entry can carry (its activity file aside)
+export const MAX_ATTACHMENTS = 5;
+
+// Uploads from POST /api/uploads wait this long to be attached to an entry
+const UNATTACHED_HOURS = 24;
+
+// Files younger than this may belong to a request that is still running
+const STRAY_FILE_GRACE_MS = 60 * 60 * 1000;
+
+function removeFiles(filenames) {
+  for (const filename of filenames) {
+    if (filename) fs.unlink(path.join(uploadDir, filename), () => {});
+  }
+}
+
+// Adds attachments (oldest first) to entry rows keyed by id. upload_id,
+// filename, originalname and mimetype describe the first one, as they did
+// when entries had a single screenshot.
+export function withAttachments(rows, cb) {
+  const ids = [...new Set(rows.map(r => r.id))];
+  if (!ids.length) return cb(null, rows);
+  db.all(
+    `SELECT id, entry_id, filename, originalname, mimetype, size, created_at
+     FROM uploads
+     WHERE entry_id IN (${ids.map(() => '?').join(',')})
+     ORDER BY id ASC`,
+    ids,
+    (err, uploads) => {
+      if (err) return cb(err);
+      const byEntry = new Map();
+      for (const { entry_id, ...up } of uploads) {
+        if (!byEntry.has(entry_id)) byEntry.set(entry_id, []);
+        byEntry.get(entry_id).push(up);
+      }
+      cb(null, rows.map(r => {
+        const attachments = byEntry.get(r.id) || [];
+        const first = attachments[0];
+        return {
+          ...r,
+          upload_id: first ? first.id : null,
+          filename: first ? first.filename : null,
+          originalname: first ? first.originalname : null,
+          mimetype: first ? first.mimetype : null,
+          attachments
+        };
+      }));
+    }
+  );
+}
+
+// Removes what no longer belongs anywhere: uploads never attached to an entry
+// within UNATTACHED_HOURS, upload rows whose entry is gone, and files in the
+// uploads directory that no row points to. Upload rows from before attachments
+// (migration 022) are left alone: they were made without any deadline.
+// Resolves with the number of files removed.
+export async function cleanupOrphanedUploads({ log } = {}) {
+  const orphans = await q.all(
+    `SELECT id, filename FROM uploads
+     WHERE created_at > (SELECT applied_at FROM schema_migrations WHERE version = '022')
+       AND ((entry_id IS NULL AND created_at <= datetime('now', ?))
+         OR (entry_id IS NOT NULL AND NOT EXISTS (SELECT 1 FROM entries WHERE entries.id = uploads.entry_id)))`,
+    [`-${UNATTACHED_HOURS} hours`]
+  );
+  for (const row of orphans) await q.run('DELETE FROM uploads WHERE id = ?', [row.id]);
+  removeFiles(orphans.map(r => r.filename));
+
+  const known = new Set((await q.all(
+    `SELECT filename FROM uploads
+     UNION SELECT filename FROM activity_tracks
+     UNION SELECT avatar_filename FROM users WHERE avatar_filename IS NOT NULL`
+  )).map(r => r.filename));
+  const cutoff = Date.now() - STRAY_FILE_GRACE_MS;
+  const stray = (fs.existsSync(uploadDir) ? fs.readdirSync(uploadDir) : []).filter(name => {
+    if (known.has(name)) return false;
+    const stat = fs.statSync(path.join(uploadDir, name), { throwIfNoEntry: false });
+    return !!stat && stat.isFile() && stat.mtimeMs < cutoff;
+  });
+  removeFiles(stray);
+
+  const removed = orphans.length + stray.length;
+  if (log && removed) log(`Removed ${removed} orphaned upload file(s)`);
+  return removed;
+}
+
+let timer = null;
+
+// Runs the cleanup once now and then every intervalMs (default one hour)
+export function startOrphanCleanup({ intervalMs = 60 * 60 * 1000, log } = {}) {
+  if (timer) return timer;
+  const tick = () => cleanupOrphanedUploads({ log }).catch(err => {
+    if (log) log(`Upload cleanup failed: ${err.message}`);
+  });
+  tick();
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+  return timer;
+}
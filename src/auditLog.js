@@ -0,0 +1,173 @@
+import { getDb } from './db.js';
+import { displayName } from './profiles.js';
+import { addDays, startOfDayUtc } from './timezone.js';
+
+const db = getDb();
+
+// Columns that never go into the log
+const REDACTED_COLUMNS = ['password_hash', 'secret', 'token_hash'];
+
+// Large columns that would only bloat the log
+const OMITTED_COLUMNS = ['track_points'];
+
+function snapshotJson(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'object' || Array.isArray(value)) return JSON.stringify(value);
+  const copy = { ...value };
+  for (const col of REDACTED_COLUMNS) if (col in copy) copy[col] = '[redacted]';
+  for (const col of OMITTED_COLUMNS) delete copy[col];
+  return JSON.stringify(copy);
+}
+
+// Records one action. req is the request that made it, or null for the
+// scheduler and other background work. Never fails the caller.
+export function recordAudit(req, { action, targetType, targetId = null, subjectUserId = null, before = null, after = null, ip }) {
+  const actorId = req && req.session ? req.session.userId || null : null;
+  const via = !req ? 'system' : req.apiToken ? 'token' : 'session';
+  db.run(
+    `INSERT INTO audit_log (actor_id, actor_email, via, action, target_type, target_id, subject_user_id,
+                            before_json, after_json, ip)
+     VALUES (?, (SELECT email FROM users WHERE id = ?), ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [actorId, actorId, via, action, targetType, targetId, subjectUserId,
+      snapshotJson(before), snapshotJson(after), ip !== undefined ? ip : req ? req.ip : null],
+    (err) => {
+      // eslint-disable-next-line no-console
+      if (err) console.error(`Audit log write failed for ${action}:`, err.message);
+    }
+  );
+}
+
+function loadRow(table, id, cb) {
+  if (!table || !id) return cb(null, null);
+  db.get(`SELECT * FROM ${table} WHERE id = ?`, [id], cb);
+}
+
+// id option for routes that create a row and answer with its id under key
+export function createdId(key) {
+  return (req, body) => (body && body[key]) || null;
+}
+
+// subject option for routes whose target is a user account
+export function userSubject(row) {
+  return row ? row.id : null;
+}
+
+// Route middleware that logs the change a route makes. The target is read
+// before the handler runs and again after a successful (2xx/3xx) response.
+// Options:
+//   table    – table of the target row, read by id (also the default target type)
+//   type     – target type to log, when it isn't the table name
+//   id       – (req, body) => target id; body is the JSON response, null before
+//              the handler runs. Defaults to req.params.id.
+//   load     – (req, id, cb) to read the target instead of the table row
+//   subject  – (row, req) => the runner whose data it is; defaults to row.user_id
+export function audited(action, { table, type, id, load, subject } = {}) {
+  const targetId = id || (req => Number(req.params.id) || null);
+  const read = load || ((req, rowId, cb) => loadRow(table, rowId, cb));
+  const subjectOf = subject || (row => (row && row.user_id) || null);
+
+  return (req, res, next) => {
+    // The socket may be gone by the time the response has finished
+    const ip = req.ip;
+    let body = null;
+    const json = res.json.bind(res);
+    res.json = (payload) => {
+      body = payload;
+      return json(payload);
+    };
+
+    read(req, targetId(req, null), (err, before) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      res.on('finish', () => {
+        if (res.statusCode >= 400) return;
+        const afterId = targetId(req, body);
+        read(req, afterId, (afterErr, after) => {
+          recordAudit(req, {
+            action,
+            targetType: type || table,
+            targetId: afterId,
+            subjectUserId: subjectOf(before, req) || subjectOf(after, req),
+            before,
+            after: afterErr ? null : after,
+            ip
+          });
+        });
+      });
+      next();
+    });
+  };
+}
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const TIMESTAMP = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}(:\d{2})?$/;
+
+// Builds the WHERE clause for the audit endpoints from query filters. Plain
+// dates in from/to are whole days (to is inclusive) in the caller's timezone.
+function auditFilters(query, tz) {
+  const where = [];
+  const params = [];
+  const eq = { actor_id: 'a.actor_id', user_id: 'a.subject_user_id', target_type: 'a.target_type', target_id: 'a.target_id', action: 'a.action' };
+  for (const [key, column] of Object.entries(eq)) {
+    if (query[key] === undefined || query[key] === '') continue;
+    where.push(`${column} = ?`);
+    params.push(query[key]);
+  }
+  const from = String(query.from || '');
+  if (DATE_ONLY.test(from) || TIMESTAMP.test(from)) {
+    where.push('a.created_at >= ?');
+    params.push(DATE_ONLY.test(from) ? startOfDayUtc(from, tz) : from.replace('T', ' '));
+  }
+  const to = String(query.to || '');
+  if (DATE_ONLY.test(to) || TIMESTAMP.test(to)) {
+    where.push('a.created_at < ?');
+    params.push(DATE_ONLY.test(to) ? startOfDayUtc(addDays(to, 1), tz) : to.replace('T', ' '));
+  }
+  const before = Number(query.before);
+  if (Number.isInteger(before) && before > 0) {
+    where.push('a.id < ?');
+    params.push(before);
+  }
+  return { where, params };
+}
+
+function auditRow(row, { withIp, withEmails }) {
+  const { before_json: before, after_json: after, ip, actor_display_name, actor_email, subject_email, ...rest } = row;
+  return {
+    ...rest,
+    // Runners looking at their own history see who acted by display name only
+    ...(withEmails
+      ? { actor_email, subject_email }
+      : { actor_name: rest.actor_id ? displayName({ id: rest.actor_id, display_name: actor_display_name }) : null }),
+    before: before ? JSON.parse(before) : null,
+    after: after ? JSON.parse(after) : null,
+    ...(withIp ? { ip } : {})
+  };
+}
+
+// Audit entries newest first, 100 at a time (pass before=<id> for older ones).
+// Filters: actor_id, user_id (whose data), target_type, target_id, action,
+// from/to (UTC timestamps, or dates in tz). extra adds fixed conditions.
+export function fetchAuditLog(query, { extra = [], withIp = true, withEmails = true, tz } = {}, cb) {
+  const { where, params } = auditFilters(query, tz);
+  for (const [sql, value] of extra) {
+    where.push(sql);
+    params.push(value);
+  }
+  const limit = Math.min(Math.max(Number(query.limit) || 100, 1), 500);
+  db.all(
+    `SELECT a.id, a.actor_id, COALESCE(u.email, a.actor_email) as actor_email, u.display_name as actor_display_name,
+            a.via, a.action, a.target_type,
+            a.target_id, a.subject_user_id, su.email as subject_email, a.before_json, a.after_json, a.ip, a.created_at
+     FROM audit_log a
+     LEFT JOIN users u ON u.id = a.actor_id
+     LEFT JOIN users su ON su.id = a.subject_user_id
+     ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+     ORDER BY a.id DESC
+     LIMIT ?`,
+    [...params, limit],
+    (err, rows) => {
+      if (err) return cb(err);
+      cb(null, (rows || []).map(r => auditRow(r, { withIp, withEmails })));
+    }
+  );
+}
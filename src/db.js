@@ -2,6 +2,8 @@ import fs from 'fs';
 import path from 'path';
 import sqlite3 from 'sqlite3';
 import { fileURLToPath } from 'url';
+import { migrate, wrap } from './migrate.js';
+import { passwordProblem } from './passwordPolicy.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -9,170 +11,99 @@ const __dirname = path.dirname(__filename);
 const dataDir = path.join(__dirname, '..', 'data');
 const dbPath = path.join(dataDir, 'app.db');
 
+// How long a statement waits for another connection's transaction to finish
+const BUSY_TIMEOUT_MS = 10000;
+
 let dbInstance = null;
 
 export function getDb() {
   if (!dbInstance) {
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
     dbInstance = new sqlite3.Database(dbPath);
+    dbInstance.configure('busyTimeout', BUSY_TIMEOUT_MS);
   }
   return dbInstance;
 }
 
-export function ensureDatabase() {
-  if (!fs.existsSync(dataDir)) {
-    fs.mkdirSync(dataDir, { recursive: true });
-  }
-
-  const db = getDb();
-
-  db.serialize(() => {
-    db.run(
-      `CREATE TABLE IF NOT EXISTS users (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        email TEXT UNIQUE NOT NULL,
-        password_hash TEXT NOT NULL,
-        created_at DATETIME DEFAULT (datetime('now', '+8 hours'))
-      )`
-    );
-
-    db.run(
-      `CREATE TABLE IF NOT EXISTS entries (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER NOT NULL,
-        entry_date DATE NOT NULL,
-        km_run REAL NOT NULL DEFAULT 0,
-        hours REAL NOT NULL DEFAULT 0,
-        pace REAL,
-        created_at DATETIME DEFAULT (datetime('now', '+8 hours')),
-        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
-      )`
-    );
-
-    db.run(
-      `CREATE TABLE IF NOT EXISTS uploads (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER NOT NULL,
-        entry_id INTEGER,
-        filename TEXT NOT NULL,
-        originalname TEXT NOT NULL,
-        mimetype TEXT NOT NULL,
-        size INTEGER NOT NULL,
-        created_at DATETIME DEFAULT (datetime('now', '+8 hours')),
-        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE,
-        FOREIGN KEY(entry_id) REFERENCES entries(id) ON DELETE CASCADE
-      )`
-    );
-
-    // Ensure pace column exists on entries
-    db.all('PRAGMA table_info(entries)', (err, cols) => {
-      if (!err && cols && !cols.some(c => c.name === 'pace')) {
-        db.run('ALTER TABLE entries ADD COLUMN pace REAL');
-      }
-    });
-
-    // Migrate entries table to drop unique(user_id, entry_date) if present
-    db.all('PRAGMA index_list(entries)', (err, idxs) => {
-      if (err || !Array.isArray(idxs)) return;
-      const hasUnique = idxs.some(i => i.unique === 1);
-      if (!hasUnique) return;
-      db.serialize(() => {
-        db.run('BEGIN TRANSACTION');
-        db.run(
-          `CREATE TABLE IF NOT EXISTS entries_new (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            user_id INTEGER NOT NULL,
-            entry_date DATE NOT NULL,
-            km_run REAL NOT NULL DEFAULT 0,
-            hours REAL NOT NULL DEFAULT 0,
-            pace REAL,
-            created_at DATETIME DEFAULT (datetime('now', '+8 hours')),
-            FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
-          )`
-        );
-        db.run(
-          'INSERT INTO entries_new (id, user_id, entry_date, km_run, hours, pace, created_at) SELECT id, user_id, entry_date, km_run, hours, pace, created_at FROM entries'
-        );
-        db.run('DROP TABLE entries');
-        db.run('ALTER TABLE entries_new RENAME TO entries');
-        db.run('COMMIT');
-      });
-    });
-
-    // Ensure is_admin column exists
-    db.all('PRAGMA table_info(users)', (err, cols) => {
-      if (!err && cols && !cols.some(c => c.name === 'is_admin')) {
-        db.run('ALTER TABLE users ADD COLUMN is_admin INTEGER NOT NULL DEFAULT 0');
-      }
-    });
-
-    // Ensure entry_id column exists on uploads
-    db.all('PRAGMA table_info(uploads)', (err, cols) => {
-      if (!err && cols && !cols.some(c => c.name === 'entry_id')) {
-        db.run('ALTER TABLE uploads ADD COLUMN entry_id INTEGER');
-      }
-    });
-
-    // Ensure gender column exists on users
-    db.all('PRAGMA table_info(users)', (err, cols) => {
-      if (!err && cols && !cols.some(c => c.name === 'gender')) {
-        db.run('ALTER TABLE users ADD COLUMN gender TEXT CHECK (gender IN (\'male\', \'female\'))');
-      }
-    });
-
+let transactions = Promise.resolve();
+
+// Runs work(q) in a transaction on a connection of its own and resolves with
+// what work resolves with. Writes other requests make on the shared
+// connection meanwhile wait for it instead of joining it, so a rollback only
+// undoes work's own writes. work must do all its reads and writes through q.
+// Transactions run one at a time across the app.
+export function transaction(work) {
+  const run = transactions.then(() => runTransaction(work));
+  transactions = run.catch(() => {});
+  return run;
+}
 
-    // Create events table
-    db.run(
-      `CREATE TABLE IF NOT EXISTS events (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        start_date DATE NOT NULL,
-        end_date DATE NOT NULL,
-        category TEXT NOT NULL CHECK (category IN ('advanced', 'intermediate')),
-        gender_restriction TEXT NOT NULL CHECK (gender_restriction IN ('male', 'female', 'both')),
-        km_goal REAL NOT NULL DEFAULT 0,
-        created_at DATETIME DEFAULT (datetime('now', '+8 hours')),
-        created_by INTEGER NOT NULL,
-        FOREIGN KEY(created_by) REFERENCES users(id) ON DELETE CASCADE
-      )`
-    );
+async function runTransaction(work) {
+  getDb(); // creates data/ on first use
+  const conn = new sqlite3.Database(dbPath);
+  conn.configure('busyTimeout', BUSY_TIMEOUT_MS);
+  const q = wrap(conn);
+  try {
+    await q.exec('BEGIN IMMEDIATE TRANSACTION');
+    try {
+      const result = await work(q);
+      await q.exec('COMMIT');
+      return result;
+    } catch (err) {
+      await q.exec('ROLLBACK').catch(() => {});
+      throw err;
+    }
+  } finally {
+    conn.close();
+  }
+}
 
-    // Ensure km_goal column exists on events (for existing databases)
-    db.all('PRAGMA table_info(events)', (err, cols) => {
-      if (!err && cols && !cols.some(c => c.name === 'km_goal')) {
-        db.run('ALTER TABLE events ADD COLUMN km_goal REAL NOT NULL DEFAULT 0');
-      }
-      if (!err && cols && !cols.some(c => c.name === 'is_ended')) {
-        db.run('ALTER TABLE events ADD COLUMN is_ended INTEGER NOT NULL DEFAULT 0');
-      }
-    });
+// Calls back with (err, exists): whether any admin account exists yet
+export function adminExists(cb) {
+  getDb().get("SELECT id FROM users WHERE role = 'admin' AND deleted_at IS NULL LIMIT 1", [], (err, row) => cb(err, !!row));
+}
 
-    // Create event_participants table
-    db.run(
-      `CREATE TABLE IF NOT EXISTS event_participants (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        event_id INTEGER NOT NULL,
-        user_id INTEGER NOT NULL,
-        joined_at DATETIME DEFAULT (datetime('now', '+8 hours')),
-        FOREIGN KEY(event_id) REFERENCES events(id) ON DELETE CASCADE,
-        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE,
-        UNIQUE(event_id, user_id)
-      )`
-    );
-    // Seed default admin user (email: admin, password: admin)
-    db.get('SELECT id FROM users WHERE email = ? LIMIT 1', ['admin'], (err, row) => {
-      if (err) return;
-      if (!row) {
-        import('bcrypt')
-          .then(mod => {
-            const bcrypt = mod.default;
-            const passwordHash = bcrypt.hashSync('admin', 10);
-            const stmt = db.prepare('INSERT INTO users (email, password_hash, is_admin) VALUES (?, ?, 1)');
-            stmt.run('admin', passwordHash);
-          })
-          .catch(() => {});
-      }
+// Creates the primary admin account ('admin') on first run with the password
+// from ADMIN_PASSWORD. Without it the account is created through the setup
+// screen (POST /api/setup) instead. An admin account still on the old
+// default password 'admin' has to choose a new one at its next login.
+function seedAdmin(db, log) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT id, password_hash FROM users WHERE email = ? LIMIT 1', ['admin'], (err, row) => {
+      if (err) return reject(err);
+      import('bcrypt')
+        .then(mod => {
+          const bcrypt = mod.default;
+          if (row) {
+            if (!bcrypt.compareSync('admin', row.password_hash)) return resolve();
+            log('The admin account still uses the default password; it must be changed at the next login');
+            return db.run('UPDATE users SET must_change_password = 1 WHERE id = ?', [row.id], (updErr) => {
+              if (updErr) return reject(updErr);
+              resolve();
+            });
+          }
+          const password = process.env.ADMIN_PASSWORD;
+          if (!password) {
+            log('No admin account yet: open the app to choose its password, or set ADMIN_PASSWORD');
+            return resolve();
+          }
+          const problem = passwordProblem(password, 'admin');
+          if (problem) return reject(new Error(`ADMIN_PASSWORD is too weak: ${problem}`));
+          db.run("INSERT INTO users (email, password_hash, role) VALUES (?, ?, 'admin')", ['admin', bcrypt.hashSync(password, 10)], (insErr) => {
+            if (insErr) return reject(insErr);
+            log('Created the admin account from ADMIN_PASSWORD');
+            resolve();
+          });
+        })
+        .catch(reject);
     });
   });
 }
 
-
+// Applies pending migrations, then seeds. Resolves once the schema is ready.
+export function ensureDatabase({ log } = {}) {
+  const db = getDb();
+  return migrate(db, { log }).then(() => seedAdmin(db, log || (() => {})));
+}
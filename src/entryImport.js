@@ -0,0 +1,157 @@
+import { parse } from 'csv-parse/sync';
+import { getDb, transaction } from './db.js';
+import { wrap } from './migrate.js';
+import { checkDayTotals, checkEntry, flagsColumn, isRealDate } from './entryValidation.js';
+import { appTimezone, todayIn } from './timezone.js';
+
+const db = getDb();
+const q = wrap(db);
+
+export const IMPORT_COLUMNS = ['email', 'date', 'km', 'hours', 'pace'];
+const MAX_IMPORT_ROWS = 5000;
+
+// "HH:MM:SS", "HH:MM" or decimal hours
+function parseHours(value) {
+  if (value === '') return null;
+  if (!value.includes(':')) return Number(value);
+  const parts = value.split(':').map(Number);
+  if (parts.length > 3 || parts.some(n => !Number.isFinite(n) || n < 0)) return NaN;
+  const [hh, mm = 0, ss = 0] = parts;
+  return hh + mm / 60 + ss / 3600;
+}
+
+// "MM:SS" per km or decimal minutes per km, stored as hours per km
+function parsePace(value) {
+  if (value === '') return null;
+  if (!value.includes(':')) return Number(value) / 60;
+  const parts = value.split(':').map(Number);
+  if (parts.length !== 2 || parts.some(n => !Number.isFinite(n) || n < 0)) return NaN;
+  return (parts[0] * 60 + parts[1]) / 3600;
+}
+
+function readCsv(text) {
+  const records = parse(text, {
+    columns: header => header.map(h => String(h).trim().toLowerCase()),
+    skip_empty_lines: true,
+    trim: true,
+    bom: true
+  });
+  return records;
+}
+
+// Parses and checks every row against users and existing entries, with the
+// same rules as entries runners submit, except that old dates are allowed.
+// Resolves with { rows, errorCount } where each row is
+// { line, email, date, km, hours, pace, user_id, errors: [], flags: [] },
+// or with { error } when the file itself can't be imported. Rejects only when
+// the database fails.
+export function validateImport(text) {
+  return checkImport(q, text);
+}
+
+// validateImport reading through conn, so commitImport can check again
+// inside its transaction
+function checkImport(conn, text) {
+  let records;
+  try {
+    records = readCsv(text);
+  } catch (err) {
+    return Promise.resolve({ error: `Could not read CSV: ${err.message}` });
+  }
+  if (records.length === 0) return Promise.resolve({ error: 'CSV has no rows' });
+  if (records.length > MAX_IMPORT_ROWS) return Promise.resolve({ error: `CSV has more than ${MAX_IMPORT_ROWS} rows` });
+  const missing = ['email', 'date', 'km', 'hours'].filter(c => !(c in records[0]));
+  if (missing.length) return Promise.resolve({ error: `Missing column(s): ${missing.join(', ')}` });
+
+  return conn.all('SELECT id, email, timezone FROM users WHERE deleted_at IS NULL').then(users => {
+    const userIdByEmail = new Map(users.map(u => [u.email.toLowerCase(), u.id]));
+    const todayByUser = new Map(users.map(u => [u.id, todayIn(u.timezone || appTimezone())]));
+    const seen = new Map();
+    const rows = records.map((rec, i) => {
+      const errors = [];
+      const email = rec.email || '';
+      const date = rec.date || '';
+      const km = rec.km === '' ? NaN : Number(rec.km);
+      const hours = parseHours(rec.hours || '');
+      let pace = parsePace(rec.pace || '');
+      const userId = userIdByEmail.get(email.toLowerCase()) || null;
+
+      if (!email) errors.push('Email is required');
+      else if (!userId) errors.push(`No user with email "${email}"`);
+      if (!isRealDate(date)) errors.push('Date must be YYYY-MM-DD');
+      if (!Number.isFinite(km) || km < 0) errors.push('Km must be a number of at least 0');
+      if (hours === null || !Number.isFinite(hours) || hours < 0) errors.push('Hours must be HH:MM:SS or a number of at least 0');
+      if (pace !== null && (!Number.isFinite(pace) || pace <= 0)) errors.push('Pace must be MM:SS per km');
+      let flags = [];
+      if (errors.length === 0) {
+        const check = checkEntry({ date, km, hours, pace }, { today: todayByUser.get(userId) });
+        errors.push(...Object.values(check.errors));
+        flags = check.flags;
+      }
+      if (pace === null && km > 0 && hours > 0) pace = hours / km;
+
+      const key = `${userId}|${date}|${km}|${hours}`;
+      if (userId && seen.has(key)) errors.push(`Same as line ${seen.get(key)}`);
+      seen.set(key, i + 2);
+
+      // line numbers count the header as line 1
+      return { line: i + 2, email, date, km, hours, pace, user_id: userId, errors, flags };
+    });
+
+    // Rows that already exist in entries would double-count
+    const candidates = rows.filter(r => r.errors.length === 0);
+    if (candidates.length === 0) return rows;
+    return conn.all(
+      `SELECT id, user_id, entry_date, km_run, hours, status FROM entries
+       WHERE user_id IN (${[...new Set(candidates.map(r => r.user_id))].join(',')}) AND deleted_at IS NULL`
+    ).then(existing => {
+      const existingKey = new Map(existing.map(e => [`${e.user_id}|${e.entry_date}|${e.km_run}|${e.hours}`, e.id]));
+      for (const r of candidates) {
+        const dup = existingKey.get(`${r.user_id}|${r.date}|${r.km}|${r.hours}`);
+        if (dup) r.errors.push(`Already recorded as entry #${dup}`);
+      }
+
+      // Per-day caps count what the runner already has plus every row of the file for that day
+      const dayTotals = new Map();
+      const addToDay = (userId, date, km, hours) => {
+        const key = `${userId}|${date}`;
+        const total = dayTotals.get(key) || { km: 0, hours: 0 };
+        dayTotals.set(key, { km: total.km + km, hours: total.hours + hours });
+      };
+      for (const e of existing) {
+        if (e.status !== 'rejected') addToDay(e.user_id, e.entry_date, e.km_run, e.hours);
+      }
+      for (const r of candidates) addToDay(r.user_id, r.date, r.km, r.hours);
+      for (const r of candidates) {
+        const check = checkDayTotals(dayTotals.get(`${r.user_id}|${r.date}`));
+        r.errors.push(...Object.values(check.errors));
+        r.flags.push(...check.flags);
+      }
+      return rows;
+    });
+  }).then(rows => ({ rows, errorCount: rows.filter(r => r.errors.length > 0).length }));
+}
+
+// Checks the file again and inserts all rows in one transaction, so entries
+// saved since validateImport (another import, say) are caught as duplicates
+// and count towards the per-day caps. Resolves with { rows, errorCount,
+// imported }: nothing is saved if any row has errors now or any insert fails.
+// Imported rows are approved straight away since an admin vetted the file,
+// except flagged ones, which wait in the review queue like any other.
+export function commitImport(text, adminId) {
+  return transaction(async (tx) => {
+    const checked = await checkImport(tx, text);
+    // The file itself passed validateImport already
+    if (checked.error) throw new Error(checked.error);
+    if (checked.errorCount > 0) return { ...checked, imported: 0 };
+    for (const r of checked.rows) {
+      const flagged = r.flags.length > 0;
+      await tx.run(
+        `INSERT INTO entries (user_id, entry_date, km_run, hours, pace, status, reviewed_by, reviewed_at, source, flags)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ${flagged ? 'NULL' : 'CURRENT_TIMESTAMP'}, 'import', ?)`,
+        [r.user_id, r.date, r.km, r.hours, r.pace, flagged ? 'pending' : 'approved', flagged ? null : adminId, flagsColumn(r.flags)]
+      );
+    }
+    return { ...checked, imported: checked.rows.length };
+  });
+}
@@ -0,0 +1,157 @@
+import { getDb } from './db.js';
+import { wrap } from './migrate.js';
+import { addDays, appTimezone, todayIn } from './timezone.js';
+
+const db = getDb();
+const q = wrap(db);
+
+// Limits for entries, by setting: [environment variable, default]
+const LIMITS = {
+  // How many days back runners may add or change entries
+  maxAgeDays: ['ENTRY_MAX_AGE_DAYS', 60],
+  // A runner's totals for one day may not go past these
+  maxKmPerDay: ['ENTRY_MAX_KM_PER_DAY', 100],
+  maxHoursPerDay: ['ENTRY_MAX_HOURS_PER_DAY', 24],
+  // Entries are saved but flagged for review past these
+  flagKmPerDay: ['ENTRY_FLAG_KM_PER_DAY', 50],
+  flagPaceMinutes: ['ENTRY_FLAG_PACE_MINUTES', 3]
+};
+
+// A pace may be this far off hours / km (as a fraction) before it contradicts them
+const PACE_TOLERANCE = 0.05;
+
+export function entryLimits() {
+  const limits = {};
+  for (const [key, [name, fallback]] of Object.entries(LIMITS)) {
+    const value = Number(process.env[name]);
+    limits[key] = Number.isFinite(value) && value > 0 ? value : fallback;
+  }
+  return limits;
+}
+
+export function isRealDate(str) {
+  if (typeof str !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(str)) return false;
+  const d = new Date(`${str}T00:00:00Z`);
+  return !isNaN(d.getTime()) && d.toISOString().slice(0, 10) === str;
+}
+
+// null when the field was left out, NaN when it isn't a number
+function readNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  return Number(value);
+}
+
+// Hours per km as "M:SS"
+function formatPace(hoursPerKm) {
+  const seconds = Math.round(hoursPerKm * 3600);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Hours as "H:MM:SS"
+function formatDuration(hours) {
+  const seconds = Math.round(hours * 3600);
+  const mm = String(Math.floor((seconds % 3600) / 60)).padStart(2, '0');
+  const ss = String(seconds % 60).padStart(2, '0');
+  return `${Math.floor(seconds / 3600)}:${mm}:${ss}`;
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Checks a single entry. values holds date and the numbers km, hours and pace
+// (null when missing). today and oldest bound the date when given.
+// Returns { errors: { field: message }, flags: [message] }.
+export function checkEntry({ date, km, hours, pace }, { today, oldest } = {}) {
+  const limits = entryLimits();
+  const errors = {};
+  const flags = [];
+
+  if (!date) errors.date = 'Date is required';
+  else if (!isRealDate(date)) errors.date = 'Date must be YYYY-MM-DD';
+  else if (today && date > today) errors.date = 'Date cannot be in the future';
+  else if (oldest && date < oldest) errors.date = `Entries older than ${limits.maxAgeDays} days cannot be added or changed`;
+
+  if (km === null) errors.km = 'Distance is required';
+  else if (!Number.isFinite(km) || km < 0) errors.km = 'Distance must be a number of at least 0';
+
+  if (hours === null) errors.hours = 'Time is required';
+  else if (!Number.isFinite(hours) || hours < 0) errors.hours = 'Time must be a number of hours of at least 0';
+
+  if (errors.km || errors.hours) return { errors, flags };
+  if (km === 0 && hours === 0) errors.km = 'Enter a distance or a time';
+
+  const actualPace = km > 0 && hours > 0 ? hours / km : null;
+  if (pace !== null && pace !== undefined) {
+    if (!Number.isFinite(pace) || pace <= 0) {
+      errors.pace = 'Pace must be a positive number of hours per km';
+    } else if (actualPace && Math.abs(pace - actualPace) > actualPace * PACE_TOLERANCE) {
+      errors.pace = `Pace ${formatPace(pace)} min/km does not match ${round(km)} km in ${formatDuration(hours)} (${formatPace(actualPace)} min/km)`;
+    }
+  }
+  if (actualPace && actualPace * 60 < limits.flagPaceMinutes) {
+    flags.push(`Pace ${formatPace(actualPace)} min/km is faster than ${formatPace(limits.flagPaceMinutes / 60)} min/km`);
+  }
+  return { errors, flags };
+}
+
+// Checks a runner's totals for one day, the entry being saved included.
+// Returns { errors, flags } like checkEntry.
+export function checkDayTotals({ km, hours }) {
+  const limits = entryLimits();
+  const errors = {};
+  const flags = [];
+  if (km > limits.maxKmPerDay) errors.km = `That makes ${round(km)} km on one day; the limit is ${limits.maxKmPerDay} km`;
+  if (hours > limits.maxHoursPerDay) errors.hours = `That makes ${round(hours)} hours on one day; the limit is ${limits.maxHoursPerDay} hours`;
+  if (km > limits.flagKmPerDay && !errors.km) flags.push(`${round(km)} km on one day is more than ${limits.flagKmPerDay} km`);
+  return { errors, flags };
+}
+
+export function hasErrors(errors) {
+  return Object.keys(errors).length > 0;
+}
+
+// Response body for a rejected entry: the first message as error, as the SPA
+// shows it, and every field's message in errors
+export function validationError(errors) {
+  return { error: Object.values(errors)[0], errors };
+}
+
+// flags as stored in entries.flags, and back
+export function flagsColumn(flags) {
+  return flags && flags.length ? JSON.stringify(flags) : null;
+}
+
+export function readFlags(value) {
+  return value ? JSON.parse(value) : [];
+}
+
+// Validates an entry a runner (or an admin for them) is saving. input holds
+// date, km, hours and pace as they came in. The date is checked against the
+// runner's own calendar, and against the ENTRY_MAX_AGE_DAYS window unless
+// enforceWindow is false. entryId is the entry being edited, if any, so it
+// isn't counted twice in the day's totals. Resolves with
+// { values, errors, flags }, values holding the numbers to store.
+export async function validateEntry(input, { userId, entryId = null, enforceWindow = true }) {
+  const values = {
+    date: input.date || null,
+    km: readNumber(input.km),
+    hours: readNumber(input.hours),
+    pace: readNumber(input.pace)
+  };
+  const user = await q.get('SELECT timezone FROM users WHERE id = ?', [userId]);
+  const today = todayIn((user && user.timezone) || appTimezone());
+  const oldest = enforceWindow ? addDays(today, -entryLimits().maxAgeDays) : null;
+
+  const { errors, flags } = checkEntry(values, { today, oldest });
+  if (hasErrors(errors)) return { values, errors, flags };
+
+  // Rejected entries don't count toward anything, so they don't count here either
+  const day = await q.get(
+    `SELECT COALESCE(SUM(km_run), 0) as km, COALESCE(SUM(hours), 0) as hours FROM entries
+     WHERE user_id = ? AND entry_date = ? AND id != ? AND deleted_at IS NULL AND status != 'rejected'`,
+    [userId, values.date, entryId || 0]
+  );
+  const totals = checkDayTotals({ km: day.km + values.km, hours: day.hours + values.hours });
+  return { values, errors: totals.errors, flags: [...flags, ...totals.flags] };
+}
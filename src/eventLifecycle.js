@@ -0,0 +1,140 @@
+import { awardEventAchievements } from './achievements.js';
+import { recordAudit } from './auditLog.js';
+import { getDb, transaction } from './db.js';
+import { wrap } from './migrate.js';
+import { fetchEventRanking, groupDivisions, rankTeams } from './rankings.js';
+import { addDays, todayIn } from './timezone.js';
+import { emitWebhook } from './webhooks.js';
+
+const db = getDb();
+const q = wrap(db);
+
+// The state an event's dates call for today (in the application timezone).
+// Drafts stay drafts until an admin publishes them, and closed events never
+// reopen. Events ended by hand before the lifecycle existed (is_ended) are due to close.
+export function lifecycleStatus(event, today = todayIn()) {
+  if (event.status === 'draft' || event.status === 'closed') return event.status;
+  if (event.is_ended) return 'closed';
+  if (today < event.start_date) return 'registration';
+  if (today <= event.end_date) return 'active';
+  if (today <= addDays(event.end_date, Number(event.grace_days) || 0)) return 'grace';
+  return 'closed';
+}
+
+function fetchRanking(event) {
+  return new Promise((resolve, reject) => {
+    fetchEventRanking(event, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+async function snapshotAndClose(eventId, closedBy) {
+  const event = await q.get('SELECT * FROM events WHERE id = ?', [eventId]);
+  if (!event || event.status === 'closed') return event || null;
+
+  const ranking = await fetchRanking(event);
+  const teams = rankTeams(event, ranking);
+
+  await transaction(async (tx) => {
+    await tx.run('DELETE FROM event_results WHERE event_id = ?', [eventId]);
+    await tx.run('DELETE FROM event_team_results WHERE event_id = ?', [eventId]);
+    for (const r of ranking) {
+      await tx.run(
+        `INSERT INTO event_results (event_id, user_id, rank, email, total_km, total_hours, entry_count, total_days,
+                                    avg_pace, goal_pct, score, team_id, team_name, joined_at,
+                                    gender, age, category, division, division_rank)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [eventId, r.id, r.rank, r.email, r.total_km, r.total_hours, r.entry_count, r.total_days,
+          r.avg_pace, r.goal_pct, r.score, r.team_id, r.team_name, r.joined_at,
+          r.gender, r.age, r.category, r.division, r.division_rank]
+      );
+    }
+    for (const t of teams) {
+      await tx.run(
+        `INSERT INTO event_team_results (event_id, team_id, rank, name, member_count, counted_members,
+                                         total_km, total_hours, score, score_km, score_hours)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [eventId, t.team_id, t.rank, t.name, t.member_count, t.counted_members,
+          t.total_km, t.total_hours, t.score, t.score_km, t.score_hours]
+      );
+    }
+    await tx.run(
+      `UPDATE events SET status = 'closed', is_ended = 1, closed_at = CURRENT_TIMESTAMP, closed_by = ?
+       WHERE id = ?`,
+      [closedBy, eventId]
+    );
+  });
+  // The event is closed either way; a failure here only costs the badges
+  await awardEventAchievements(eventId).catch(err => {
+    // eslint-disable-next-line no-console
+    console.error(`Awarding achievements for event ${eventId} failed:`, err.message);
+  });
+  const closed = await q.get('SELECT * FROM events WHERE id = ?', [eventId]);
+  emitWebhook('event.ended', {
+    event: closed,
+    participants: ranking.length,
+    podium: ranking.slice(0, 3).map(r => ({ rank: r.rank, user_id: r.id, email: r.email, total_km: r.total_km, score: r.score })),
+    teams: teams.slice(0, 3).map(t => ({ rank: t.rank, team_id: t.team_id, name: t.name, score: t.score, score_km: t.score_km })),
+    divisions: groupDivisions(ranking).map(d => ({
+      name: d.name,
+      podium: d.podium.map(r => ({ rank: r.division_rank, user_id: r.id, email: r.email, total_km: r.total_km, score: r.score }))
+    }))
+  });
+  return closed;
+}
+
+// Closes run one at a time so an event the scheduler and an admin close at
+// the same moment is snapshotted, awarded and announced once
+let closing = Promise.resolve();
+
+// Freezes the final standings into event_results/event_team_results, marks
+// the event closed, awards the goal and podium badges and sends the
+// event.ended webhook. closedBy is the admin's user id, or null for the scheduler.
+// Resolves with the closed event (unchanged if it was already closed), or null.
+export function closeEvent(eventId, closedBy) {
+  const run = closing.then(() => snapshotAndClose(eventId, closedBy));
+  closing = run.catch(() => {});
+  return run;
+}
+
+// Moves every published event to the state its dates call for, closing the
+// ones that are past their grace period. Resolves with the number changed.
+export async function runLifecycle({ log } = {}) {
+  const today = todayIn();
+  const events = await q.all("SELECT * FROM events WHERE status NOT IN ('draft', 'closed') AND deleted_at IS NULL");
+  let changed = 0;
+  for (const event of events) {
+    const next = lifecycleStatus(event, today);
+    if (next === event.status) continue;
+    let after;
+    if (next === 'closed') {
+      after = await closeEvent(event.id, null);
+      if (log) log(`Closed event ${event.id} (${event.name})`);
+    } else {
+      await q.run('UPDATE events SET status = ? WHERE id = ?', [next, event.id]);
+      after = { ...event, status: next };
+    }
+    recordAudit(null, {
+      action: next === 'closed' ? 'event.close' : 'event.status',
+      targetType: 'events',
+      targetId: event.id,
+      before: event,
+      after
+    });
+    changed++;
+  }
+  return changed;
+}
+
+let timer = null;
+
+// Runs the lifecycle once now and then every intervalMs (default one minute)
+export function startLifecycleScheduler({ intervalMs = 60 * 1000, log } = {}) {
+  if (timer) return timer;
+  const tick = () => runLifecycle({ log }).catch(err => {
+    if (log) log(`Event lifecycle run failed: ${err.message}`);
+  });
+  tick();
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+  return timer;
+}
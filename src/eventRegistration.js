@@ -0,0 +1,254 @@
+import crypto from 'crypto';
+import { recordAudit } from './auditLog.js';
+import { getDb, transaction } from './db.js';
+import { lifecycleStatus } from './eventLifecycle.js';
+import { isRealDate } from './entryValidation.js';
+import { appUrl, sendMail } from './mailer.js';
+import { wrap } from './migrate.js';
+import { appTimezone, todayIn } from './timezone.js';
+import { emitWebhook } from './webhooks.js';
+
+const db = getDb();
+const q = wrap(db);
+
+// Participants of an event who still have an account, for capacity checks and counts
+export const PARTICIPANT_COUNT_SQL = `SELECT COUNT(*) FROM event_participants ep
+  JOIN users pu ON pu.id = ep.user_id
+  WHERE ep.event_id = e.id AND pu.deleted_at IS NULL`;
+
+export const WAITLIST_COUNT_SQL = `SELECT COUNT(*) FROM event_waitlist w
+  JOIN users wu ON wu.id = w.user_id
+  WHERE w.event_id = e.id AND wu.deleted_at IS NULL`;
+
+export function newInviteCode() {
+  return crypto.randomBytes(5).toString('hex');
+}
+
+// The join link for an invite code, or null without APP_URL
+export function inviteLink(code) {
+  const base = appUrl();
+  return base ? `${base}/join?code=${code}` : null;
+}
+
+function readDate(value) {
+  return value === undefined || value === null || value === '' ? null : value;
+}
+
+// Validates the registration fields of an event create/update body against the
+// event's dates. Returns { values } or { error }. On update, fields that are
+// left out keep their current value.
+export function registrationFromBody(body, { end_date }, current = {}) {
+  const pick = key => (body[key] !== undefined ? body[key] : current[key]);
+  const opens = readDate(pick('registration_opens'));
+  const closes = readDate(pick('registration_closes'));
+  if (opens !== null && !isRealDate(opens)) return { error: 'Registration opening date must be YYYY-MM-DD' };
+  if (closes !== null && !isRealDate(closes)) return { error: 'Registration closing date must be YYYY-MM-DD' };
+  if (opens && closes && opens > closes) return { error: 'Registration must open before it closes' };
+  if (opens && opens > end_date) return { error: 'Registration must open before the event ends' };
+  if (closes && closes > end_date) return { error: 'Registration cannot close after the event ends' };
+
+  const cap = pick('max_participants');
+  let maxParticipants = null;
+  if (cap !== undefined && cap !== null && cap !== '') {
+    maxParticipants = Number(cap);
+    if (!Number.isInteger(maxParticipants) || maxParticipants < 1) {
+      return { error: 'Maximum participants must be a positive whole number' };
+    }
+  }
+
+  const visibility = pick('visibility') || 'public';
+  if (!['public', 'private'].includes(visibility)) return { error: 'Invalid visibility' };
+  // Private events need a code to be joined; public ones don't keep one around
+  const inviteCode = visibility === 'private' ? current.invite_code || newInviteCode() : null;
+
+  return {
+    values: {
+      registration_opens: opens,
+      registration_closes: closes,
+      max_participants: maxParticipants,
+      visibility,
+      invite_code: inviteCode
+    }
+  };
+}
+
+// Why runners can't sign up for the event today, or null when they can.
+// Registration runs from publication (or registration_opens) until the end
+// date (or registration_closes), in the application timezone.
+export function registrationProblem(event, today = todayIn()) {
+  const status = lifecycleStatus(event, today);
+  if (status === 'draft') return 'Event not found';
+  if (status !== 'registration' && status !== 'active') return 'Event has already ended';
+  if (event.registration_opens && today < event.registration_opens) {
+    return `Registration opens on ${event.registration_opens}`;
+  }
+  if (event.registration_closes && today > event.registration_closes) return 'Registration has closed';
+  return null;
+}
+
+// Participants may leave until the event starts (waitlist places can be given up any time)
+export function canLeave(event, today = todayIn()) {
+  return lifecycleStatus(event, today) === 'registration';
+}
+
+// Joins, removals and promotions run one at a time so two runners can't both
+// take the last place
+let registering = Promise.resolve();
+
+function serialized(work) {
+  const run = registering.then(work);
+  registering = run.catch(() => {});
+  return run;
+}
+
+async function participantCount(eventId) {
+  const row = await q.get(
+    `SELECT COUNT(*) as n FROM event_participants ep
+     JOIN users u ON u.id = ep.user_id
+     WHERE ep.event_id = ? AND u.deleted_at IS NULL`,
+    [eventId]
+  );
+  return row.n;
+}
+
+// 1-based place of the user on the event's waitlist, or null
+export async function waitlistPosition(eventId, userId) {
+  const row = await q.get(
+    `SELECT (SELECT COUNT(*) FROM event_waitlist w2
+             JOIN users u ON u.id = w2.user_id
+             WHERE w2.event_id = w.event_id AND w2.id <= w.id AND u.deleted_at IS NULL) as position
+     FROM event_waitlist w
+     WHERE w.event_id = ? AND w.user_id = ?`,
+    [eventId, userId]
+  );
+  return row ? row.position : null;
+}
+
+async function insertParticipant(event, user, joinedOn, category) {
+  const { lastID } = await q.run(
+    'INSERT INTO event_participants (event_id, user_id, joined_on, category) VALUES (?, ?, ?, ?)',
+    [event.id, user.id, joinedOn, category || event.category]
+  );
+  await q.run('DELETE FROM event_waitlist WHERE event_id = ? AND user_id = ?', [event.id, user.id]);
+  return lastID;
+}
+
+// Signs a runner up, or puts them on the waitlist when the event is full.
+// The caller has checked eligibility. joinedOn is the runner's local day and
+// category the division category they run in (the event's own by default).
+// ignoreCapacity (admins adding someone) lets them in past the cap.
+// Resolves with { participantId } or { waitlisted: true, waitlistId, position },
+// or { already: 'participant' | 'waitlist' } if the runner got in meanwhile
+// (a waitlisted runner added with ignoreCapacity is moved into the event).
+export function joinEvent(event, user, { joinedOn, category = null, ignoreCapacity = false }) {
+  return serialized(async () => {
+    const joined = await q.get(
+      `SELECT (SELECT id FROM event_participants WHERE event_id = ? AND user_id = ?) as participant_id,
+              (SELECT id FROM event_waitlist WHERE event_id = ? AND user_id = ?) as waitlist_id`,
+      [event.id, user.id, event.id, user.id]
+    );
+    if (joined.participant_id) return { already: 'participant' };
+    if (joined.waitlist_id && !ignoreCapacity) return { already: 'waitlist' };
+    const full = event.max_participants && (await participantCount(event.id)) >= event.max_participants;
+    if (full && !ignoreCapacity) {
+      const { lastID } = await q.run(
+        'INSERT INTO event_waitlist (event_id, user_id, category) VALUES (?, ?, ?)',
+        [event.id, user.id, category]
+      );
+      return { waitlisted: true, waitlistId: lastID, position: await waitlistPosition(event.id, user.id) };
+    }
+    const participantId = await insertParticipant(event, user, joinedOn, category);
+    emitWebhook('participant.joined', {
+      event: { id: event.id, name: event.name },
+      user: { id: user.id, email: user.email },
+      participant_id: participantId
+    });
+    return { participantId };
+  });
+}
+
+// Moves runners from the waitlist into free places, oldest first, while the
+// event hasn't ended. Each one is logged, announced with participant.joined
+// and sent a mail. Resolves with the promoted participant rows.
+export function promoteWaitlist(eventId) {
+  return serialized(() => promoteWaiting(eventId));
+}
+
+// promoteWaitlist for callers already in the serialized queue
+async function promoteWaiting(eventId) {
+  const event = await q.get('SELECT * FROM events WHERE id = ? AND deleted_at IS NULL', [eventId]);
+  if (!event) return [];
+  const status = lifecycleStatus(event);
+  if (status !== 'registration' && status !== 'active') return [];
+
+  const free = event.max_participants ? event.max_participants - (await participantCount(eventId)) : Infinity;
+  if (free <= 0) return [];
+  const waiting = await q.all(
+    `SELECT w.id, w.category, u.id as user_id, u.email, u.timezone
+     FROM event_waitlist w
+     JOIN users u ON u.id = w.user_id
+     WHERE w.event_id = ? AND u.deleted_at IS NULL
+     ORDER BY w.id ASC
+     LIMIT ?`,
+    [eventId, Number.isFinite(free) ? free : -1]
+  );
+
+  const promoted = [];
+  for (const w of waiting) {
+    const user = { id: w.user_id, email: w.email };
+    const participantId = await insertParticipant(event, user, todayIn(w.timezone || appTimezone()), w.category);
+    const row = await q.get('SELECT * FROM event_participants WHERE id = ?', [participantId]);
+    promoted.push(row);
+    recordAudit(null, {
+      action: 'event.waitlist_promote',
+      targetType: 'event_participants',
+      targetId: participantId,
+      subjectUserId: user.id,
+      after: row
+    });
+    emitWebhook('participant.joined', {
+      event: { id: event.id, name: event.name },
+      user,
+      participant_id: participantId,
+      from_waitlist: true
+    });
+    if (user.email.includes('@')) {
+      sendMail({
+        to: user.email,
+        subject: `You're in: ${event.name}`,
+        text: `A place opened up in ${event.name} (${event.start_date} to ${event.end_date}) and you have been moved off the waitlist. You are now registered.`
+      }).catch(mailErr => {
+        // eslint-disable-next-line no-console
+        console.error('Failed to send waitlist mail:', mailErr.message);
+      });
+    }
+  }
+  return promoted;
+}
+
+// Takes a runner out of an event, or off its waitlist. Their event team goes
+// too, and entries they logged for the event stay theirs but no longer belong
+// to it. The freed place goes to the waitlist before anyone else can join.
+// Resolves with { participant } or { waitlist } (the removed row), or null if
+// they were in neither.
+export function removeFromEvent(eventId, userId) {
+  return serialized(async () => {
+    const participant = await q.get(
+      'SELECT * FROM event_participants WHERE event_id = ? AND user_id = ?',
+      [eventId, userId]
+    );
+    if (participant) {
+      await transaction(async (tx) => {
+        await tx.run('DELETE FROM event_participants WHERE id = ?', [participant.id]);
+        await tx.run('DELETE FROM team_members WHERE event_id = ? AND user_id = ?', [eventId, userId]);
+        await tx.run('UPDATE entries SET event_id = NULL WHERE event_id = ? AND user_id = ?', [eventId, userId]);
+      });
+      await promoteWaiting(eventId);
+      return { participant };
+    }
+    const waitlist = await q.get('SELECT * FROM event_waitlist WHERE event_id = ? AND user_id = ?', [eventId, userId]);
+    if (!waitlist) return null;
+    await q.run('DELETE FROM event_waitlist WHERE id = ?', [waitlist.id]);
+    return { waitlist };
+  });
+}
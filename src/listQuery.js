@@ -0,0 +1,57 @@
+// Paging, sorting and search for the admin list endpoints. Lists take
+// limit/offset, sort (one of the endpoint's sort names) and order (asc|desc),
+// and answer with one page of rows plus total, the number of rows matching
+// the filters.
+
+export function pageParams(query, { defaultLimit = 50, maxLimit = 500 } = {}) {
+  const limit = Number(query.limit);
+  const offset = Number(query.offset);
+  return {
+    limit: Number.isInteger(limit) && limit > 0 ? Math.min(limit, maxLimit) : defaultLimit,
+    offset: Number.isInteger(offset) && offset > 0 ? offset : 0
+  };
+}
+
+// ORDER BY for ?sort=&order=. columns maps sort names to SQL expressions;
+// unknown names fall back to the default sort and order. tiebreak (a unique
+// column) keeps rows from moving between pages.
+export function sortClause(query, columns, { sort, order = 'asc', tiebreak }) {
+  const known = Object.prototype.hasOwnProperty.call(columns, query.sort);
+  const name = known ? query.sort : sort;
+  const requested = String((known && query.order) || order).toLowerCase();
+  const direction = requested === 'desc' ? 'DESC' : 'ASC';
+  return {
+    sql: `ORDER BY ${columns[name]} ${direction}, ${tiebreak} ${direction}`,
+    sort: name,
+    order: direction.toLowerCase()
+  };
+}
+
+// LIKE pattern matching the text anywhere, with % and _ taken literally.
+// Use with ESCAPE '\'.
+export function containsPattern(text) {
+  return `%${String(text).replace(/[\\%_]/g, ch => `\\${ch}`)}%`;
+}
+
+// Runs one page of a list plus its count. from is everything after FROM up to
+// the WHERE; summary adds aggregate columns over all matching rows to the
+// count. Calls back with (err, { rows, total, summary }).
+export function fetchPage(db, { select, from, where = [], params = [], orderBy, limit, offset, summary = '' }, cb) {
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+  db.get(
+    `SELECT COUNT(*) as total${summary ? `, ${summary}` : ''} FROM ${from} ${whereSql}`,
+    params,
+    (countErr, counted) => {
+      if (countErr) return cb(countErr);
+      db.all(
+        `SELECT ${select} FROM ${from} ${whereSql} ${orderBy} LIMIT ? OFFSET ?`,
+        [...params, limit, offset],
+        (err, rows) => {
+          if (err) return cb(err);
+          const { total, ...rest } = counted;
+          cb(null, { rows: rows || [], total, summary: rest });
+        }
+      );
+    }
+  );
+}
@@ -0,0 +1,122 @@
+import { recordAudit } from './auditLog.js';
+import { getDb } from './db.js';
+
+const db = getDb();
+
+// An address is refused for a while after this many login attempts that
+// didn't succeed within the window
+const IP_MAX_FAILURES = 20;
+const IP_WINDOW_MINUTES = 15;
+
+// An account is locked after this many failed logins in a row: first for
+// LOCK_BASE_MINUTES, doubling with every further failure up to LOCK_MAX_MINUTES
+const LOCK_THRESHOLD = 5;
+const LOCK_BASE_MINUTES = 1;
+const LOCK_MAX_MINUTES = 24 * 60;
+
+export function lockMinutes(failedLogins) {
+  if (failedLogins < LOCK_THRESHOLD) return 0;
+  return Math.min(LOCK_BASE_MINUTES * 2 ** (failedLogins - LOCK_THRESHOLD), LOCK_MAX_MINUTES);
+}
+
+// Both limits are reserved before the password is checked: the attempt is
+// counted as failed up front and given back when it succeeds. Guesses sent in
+// parallel each see the ones before them, so none gets past a limit that the
+// others have already reached.
+
+// Counts a login attempt against the address. Calls back with
+// (err, retryAfterSeconds), 0 when the address may try now. The window starts
+// at the address's first attempt after the previous one ran out.
+export function reserveIpAttempt(ip, cb) {
+  db.get(
+    `INSERT INTO login_ip_attempts (ip, attempts, window_started_at) VALUES (?, 1, datetime('now'))
+     ON CONFLICT(ip) DO UPDATE SET
+       attempts = CASE WHEN window_started_at > datetime('now', ?) THEN attempts + 1 ELSE 1 END,
+       window_started_at = CASE WHEN window_started_at > datetime('now', ?) THEN window_started_at ELSE datetime('now') END
+     RETURNING attempts, CAST((julianday(window_started_at) - julianday('now')) * 86400 AS INTEGER) + ? as retry_seconds`,
+    [ip || '', `-${IP_WINDOW_MINUTES} minutes`, `-${IP_WINDOW_MINUTES} minutes`, IP_WINDOW_MINUTES * 60],
+    (err, row) => {
+      if (err) return cb(err);
+      if (row.attempts <= IP_MAX_FAILURES) return cb(null, 0);
+      cb(null, Math.max(1, row.retry_seconds));
+    }
+  );
+}
+
+// Gives a successful login's attempt back to its address. Only that one: a
+// login to an account of one's own must not wipe the failures from guessing
+// at others.
+export function releaseIpAttempt(ip, cb) {
+  db.run('UPDATE login_ip_attempts SET attempts = MAX(attempts - 1, 0) WHERE ip = ?', [ip || ''], cb);
+}
+
+// lock_seconds is how long the account stays locked (0 when it isn't)
+const LOGIN_ACCOUNT = `SELECT id, email, password_hash, role, timezone, must_change_password, failed_logins,
+    CASE WHEN locked_until > datetime('now')
+         THEN CAST((julianday(locked_until) - julianday('now')) * 86400 AS INTEGER) + 1 ELSE 0 END as lock_seconds
+  FROM users`;
+
+// Finds the account a login names and counts the attempt as a failed login,
+// locking the account already if this failure would. Calls back with
+// (err, account, attempt): account is null when there is no such account.
+// attempt is { lockSeconds } when the account is locked and the password must
+// not be checked, else { failedLogins, lockMinutes } as they stand if the
+// password turns out wrong.
+export function reserveLoginAttempt(email, cb) {
+  db.get(`${LOGIN_ACCOUNT} WHERE email = ? AND deleted_at IS NULL`, [email], (err, account) => {
+    if (err) return cb(err);
+    reserveAccountAttempt(account, cb);
+  });
+}
+
+function reserveAccountAttempt(account, cb) {
+  if (!account) return cb(null, null);
+  if (account.lock_seconds > 0) return cb(null, account, { lockSeconds: account.lock_seconds });
+  const failedLogins = account.failed_logins + 1;
+  const minutes = lockMinutes(failedLogins);
+  // Only counts if no other attempt was counted since the account was read;
+  // otherwise it is read again and the attempt counted on top of that one
+  db.run(
+    `UPDATE users SET failed_logins = ?,
+            locked_until = CASE WHEN ? > 0 THEN datetime('now', ?) ELSE locked_until END
+     WHERE id = ? AND failed_logins = ? AND IFNULL(locked_until <= datetime('now'), 1)`,
+    [failedLogins, minutes, `+${minutes} minutes`, account.id, account.failed_logins],
+    function(err) {
+      if (err) return cb(err);
+      if (this.changes > 0) return cb(null, account, { failedLogins, lockMinutes: minutes });
+      db.get(`${LOGIN_ACCOUNT} WHERE id = ? AND deleted_at IS NULL`, [account.id], (readErr, fresh) => {
+        if (readErr) return cb(readErr);
+        reserveAccountAttempt(fresh, cb);
+      });
+    }
+  );
+}
+
+// Records a failed login as a security event in the audit log. reason is
+// unknown_account, bad_password, account_locked or ip_limited; for a bad
+// password failedLogins and lockMinutes are the reserved attempt's.
+export function recordLoginFailure(req, { email, account, reason, failedLogins, lockMinutes: minutes }) {
+  recordAudit(req, {
+    action: 'user.login_failed',
+    targetType: 'users',
+    targetId: account ? account.id : null,
+    subjectUserId: account ? account.id : null,
+    after: {
+      email,
+      reason,
+      ...(reason === 'bad_password' ? { failed_logins: failedLogins, locked_minutes: minutes } : {})
+    }
+  });
+}
+
+export function clearLoginFailures(userId, cb) {
+  db.run('UPDATE users SET failed_logins = 0, locked_until = NULL WHERE id = ?', [userId], cb);
+}
+
+// "3 minutes", "2 hours" for lock messages
+export function describeWait(seconds) {
+  const minutes = Math.ceil(seconds / 60);
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  const hours = Math.ceil(minutes / 60);
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+}
@@ -0,0 +1,39 @@
+import nodemailer from 'nodemailer';
+
+let transport = null;
+
+// Uses SMTP when SMTP_HOST is set (a local catcher such as MailHog works for
+// development); otherwise messages are written to the server log.
+function getTransport() {
+  if (transport) return transport;
+  if (process.env.SMTP_HOST) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 1025,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  } else {
+    transport = nodemailer.createTransport({ jsonTransport: true });
+  }
+  return transport;
+}
+
+// The address the app is reached at (APP_URL, without a trailing slash), for
+// links sent to users, or null when it isn't set. Links are never built from
+// the request's Host header, which the client chooses.
+export function appUrl() {
+  const url = String(process.env.APP_URL || '').trim().replace(/\/+$/, '');
+  return url || null;
+}
+
+export function sendMail({ to, subject, text }) {
+  const from = process.env.MAIL_FROM || 'LSR Tracker <no-reply@localhost>';
+  return getTransport().sendMail({ from, to, subject, text }).then(info => {
+    if (!process.env.SMTP_HOST) {
+      // eslint-disable-next-line no-console
+      console.log(`Mail to ${to}: ${subject}\n${text}`);
+    }
+    return info;
+  });
+}
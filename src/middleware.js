@@ -0,0 +1,109 @@
+import { authenticateToken, bearerToken, routeScope } from './apiTokens.js';
+import { currentRole, ownsEventRecord, permissionAccess } from './roles.js';
+
+// Requests with an API token skip the cookie session so scripts never start
+// one. requireAuth/requireAdmin/requirePermission fill this per-request
+// session from the token.
+export function sessionOrToken(sessionMiddleware) {
+  return (req, res, next) => {
+    if (!bearerToken(req)) return sessionMiddleware(req, res, next);
+    req.session = { destroy: cb => cb() };
+    next();
+  };
+}
+
+// Accounts flagged with must_change_password can only change their password
+const PASSWORD_CHANGE_REQUIRED = { status: 403, error: 'Choose a new password before continuing', passwordChangeRequired: true };
+
+function refuse(res, failure) {
+  res.status(failure.status).json({
+    error: failure.error,
+    ...(failure.passwordChangeRequired ? { password_change_required: true } : {})
+  });
+}
+
+// Signs the request in with its API token if the token has the scope the
+// endpoint needs. Calls back with { status, error } on failure, else null.
+function signInWithToken(req, scope, cb) {
+  authenticateToken(bearerToken(req), (err, auth) => {
+    if (err) return cb({ status: 500, error: 'Token check failed' });
+    if (!auth) return cb({ status: 401, error: 'Invalid API token' });
+    if (auth.mustChangePassword) return cb(PASSWORD_CHANGE_REQUIRED);
+    if (!scope) return cb({ status: 403, error: 'API tokens cannot be used for this endpoint' });
+    if (!auth.scopes.includes(scope)) return cb({ status: 403, error: `API token is missing the ${scope} scope` });
+    req.session.userId = auth.userId;
+    req.session.role = auth.role;
+    req.session.timezone = auth.timezone;
+    req.apiToken = { id: auth.tokenId, scopes: auth.scopes };
+    cb(null);
+  });
+}
+
+// Re-reads the role of a cookie session's user. Sessions of accounts that
+// were deleted since they signed in are ended.
+function refreshSession(req, cb) {
+  currentRole(req.session.userId, (err, role) => {
+    if (err) return cb({ status: 500, error: 'Database error' });
+    if (!role) return req.session.destroy(() => cb({ status: 401, error: 'Unauthorized' }));
+    req.session.role = role;
+    cb(null);
+  });
+}
+
+export function requireAuth(req, res, next) {
+  if (req.session.userId) {
+    if (req.session.mustChangePassword) return refuse(res, PASSWORD_CHANGE_REQUIRED);
+    return refreshSession(req, failure => {
+      if (failure) return refuse(res, failure);
+      next();
+    });
+  }
+  if (!bearerToken(req)) return res.status(401).json({ error: 'Unauthorized' });
+  signInWithToken(req, routeScope(req), failure => {
+    if (failure) return refuse(res, failure);
+    next();
+  });
+}
+
+// Signs in for the admin endpoints, with a session or a token with the admin
+// scope. The role is read again on every request, so a changed role applies
+// to sessions that are already open.
+function signInStaff(req, cb) {
+  if (req.session.userId || !bearerToken(req)) {
+    if (!req.session.userId) return cb({ status: 403, error: 'Forbidden' });
+    if (req.session.mustChangePassword) return cb(PASSWORD_CHANGE_REQUIRED);
+    return refreshSession(req, cb);
+  }
+  signInWithToken(req, 'admin', cb);
+}
+
+export function requireAdmin(req, res, next) {
+  signInStaff(req, failure => {
+    if (failure) return refuse(res, failure);
+    if (req.session.role !== 'admin') return res.status(403).json({ error: 'Forbidden' });
+    next();
+  });
+}
+
+// Lets in roles with the permission (see roles.js) and sets req.access to
+// 'all' or 'own'. With owner set to a table, callers limited to their own
+// events only get at the record with id req.params.id if it belongs to one
+// of them; list endpoints narrow their results with limitToOwnEvents instead.
+export function requirePermission(permission, { owner } = {}) {
+  return (req, res, next) => {
+    signInStaff(req, failure => {
+      if (failure) return refuse(res, failure);
+      const access = permissionAccess(req.session.role, permission);
+      if (!access) return res.status(403).json({ error: 'Forbidden' });
+      req.access = access;
+      if (access === 'all' || !owner) return next();
+      const id = Number(req.params.id);
+      if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'Invalid ID' });
+      ownsEventRecord(owner, id, req.session.userId, (err, owned) => {
+        if (err) return res.status(500).json({ error: 'Database error' });
+        if (!owned) return res.status(404).json({ error: 'Not found' });
+        next();
+      });
+    });
+  };
+}
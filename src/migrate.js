@@ -0,0 +1,103 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const migrationsDir = path.join(__dirname, 'migrations');
+
+// Promise wrappers around the sqlite3 callback API, handed to each migration
+export function wrap(db) {
+  return {
+    run: (sql, params = []) => new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) return reject(err);
+        resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    }),
+    get: (sql, params = []) => new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    }),
+    all: (sql, params = []) => new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    }),
+    exec: (sql) => new Promise((resolve, reject) => {
+      db.exec(sql, err => (err ? reject(err) : resolve()));
+    })
+  };
+}
+
+export async function columnExists(q, table, column) {
+  const cols = await q.all(`PRAGMA table_info(${table})`);
+  return cols.some(c => c.name === column);
+}
+
+// For migrations that may meet databases which already got the column from
+// the old boot-time checks
+export async function addColumnIfMissing(q, table, column, definition) {
+  if (await columnExists(q, table, column)) return false;
+  await q.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+// Migration files are named NNN_description.js and export `async up(q)`
+export function listMigrations() {
+  return fs.readdirSync(migrationsDir)
+    .filter(f => /^\d+_[\w-]+\.js$/.test(f))
+    .sort()
+    .map(file => {
+      const [, version, name] = file.match(/^(\d+)_([\w-]+)\.js$/);
+      return { version, name, file: path.join(migrationsDir, file) };
+    });
+}
+
+async function ensureMigrationsTable(q) {
+  await q.run(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+}
+
+export async function migrationStatus(db) {
+  const q = wrap(db);
+  await ensureMigrationsTable(q);
+  const applied = await q.all('SELECT version, applied_at FROM schema_migrations');
+  const appliedAt = new Map(applied.map(r => [r.version, r.applied_at]));
+  return listMigrations().map(m => ({
+    version: m.version,
+    name: m.name,
+    applied: appliedAt.has(m.version),
+    applied_at: appliedAt.get(m.version) || null
+  }));
+}
+
+// Applies pending migrations in order, each in its own transaction.
+// Resolves with the list of versions that were applied.
+export async function migrate(db, { log = () => {} } = {}) {
+  const q = wrap(db);
+  const status = await migrationStatus(db);
+  const pending = status.filter(m => !m.applied);
+  const byVersion = new Map(listMigrations().map(m => [m.version, m]));
+  const done = [];
+
+  for (const m of pending) {
+    const { up } = await import(pathToFileURL(byVersion.get(m.version).file).href);
+    await q.exec('BEGIN TRANSACTION');
+    try {
+      await up(q);
+      await q.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [m.version, m.name]);
+      await q.exec('COMMIT');
+    } catch (err) {
+      await q.exec('ROLLBACK').catch(() => {});
+      err.message = `Migration ${m.version}_${m.name} failed: ${err.message}`;
+      throw err;
+    }
+    log(`Applied migration ${m.version}_${m.name}`);
+    done.push(m.version);
+  }
+  return done;
+}
@@ -0,0 +1,99 @@
+import { addColumnIfMissing } from '../migrate.js';
+
+// Baseline schema. Also brings databases created before migrations existed up to
+// the same shape, replacing the checks that used to run on every boot.
+export async function up(q) {
+  await q.run(
+    `CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT UNIQUE NOT NULL,
+      password_hash TEXT NOT NULL,
+      created_at DATETIME DEFAULT (datetime('now', '+8 hours'))
+    )`
+  );
+
+  await q.run(
+    `CREATE TABLE IF NOT EXISTS entries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      entry_date DATE NOT NULL,
+      km_run REAL NOT NULL DEFAULT 0,
+      hours REAL NOT NULL DEFAULT 0,
+      pace REAL,
+      created_at DATETIME DEFAULT (datetime('now', '+8 hours')),
+      FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`
+  );
+
+  await q.run(
+    `CREATE TABLE IF NOT EXISTS uploads (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      entry_id INTEGER,
+      filename TEXT NOT NULL,
+      originalname TEXT NOT NULL,
+      mimetype TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      created_at DATETIME DEFAULT (datetime('now', '+8 hours')),
+      FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY(entry_id) REFERENCES entries(id) ON DELETE CASCADE
+    )`
+  );
+
+  await addColumnIfMissing(q, 'entries', 'pace', 'REAL');
+
+  // Early databases had UNIQUE(user_id, entry_date) on entries; rebuild without it
+  const idxs = await q.all('PRAGMA index_list(entries)');
+  if (idxs.some(i => i.unique === 1)) {
+    await q.run(
+      `CREATE TABLE entries_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        entry_date DATE NOT NULL,
+        km_run REAL NOT NULL DEFAULT 0,
+        hours REAL NOT NULL DEFAULT 0,
+        pace REAL,
+        created_at DATETIME DEFAULT (datetime('now', '+8 hours')),
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+      )`
+    );
+    await q.run(
+      'INSERT INTO entries_new (id, user_id, entry_date, km_run, hours, pace, created_at) SELECT id, user_id, entry_date, km_run, hours, pace, created_at FROM entries'
+    );
+    await q.run('DROP TABLE entries');
+    await q.run('ALTER TABLE entries_new RENAME TO entries');
+  }
+
+  await addColumnIfMissing(q, 'users', 'is_admin', 'INTEGER NOT NULL DEFAULT 0');
+  await addColumnIfMissing(q, 'uploads', 'entry_id', 'INTEGER');
+  await addColumnIfMissing(q, 'users', 'gender', "TEXT CHECK (gender IN ('male', 'female'))");
+
+  await q.run(
+    `CREATE TABLE IF NOT EXISTS events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      category TEXT NOT NULL CHECK (category IN ('advanced', 'intermediate')),
+      gender_restriction TEXT NOT NULL CHECK (gender_restriction IN ('male', 'female', 'both')),
+      km_goal REAL NOT NULL DEFAULT 0,
+      created_at DATETIME DEFAULT (datetime('now', '+8 hours')),
+      created_by INTEGER NOT NULL,
+      FOREIGN KEY(created_by) REFERENCES users(id) ON DELETE CASCADE
+    )`
+  );
+  await addColumnIfMissing(q, 'events', 'km_goal', 'REAL NOT NULL DEFAULT 0');
+  await addColumnIfMissing(q, 'events', 'is_ended', 'INTEGER NOT NULL DEFAULT 0');
+
+  await q.run(
+    `CREATE TABLE IF NOT EXISTS event_participants (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      joined_at DATETIME DEFAULT (datetime('now', '+8 hours')),
+      FOREIGN KEY(event_id) REFERENCES events(id) ON DELETE CASCADE,
+      FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(event_id, user_id)
+    )`
+  );
+}
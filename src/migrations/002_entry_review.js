@@ -0,0 +1,16 @@
+import { addColumnIfMissing } from '../migrate.js';
+
+// Review state for entries. Rows that predate the review workflow were already
+// counted in rankings, so they start out approved.
+export async function up(q) {
+  const added = await addColumnIfMissing(
+    q,
+    'entries',
+    'status',
+    "TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected'))"
+  );
+  if (added) await q.run("UPDATE entries SET status = 'approved'");
+  await addColumnIfMissing(q, 'entries', 'rejection_reason', 'TEXT');
+  await addColumnIfMissing(q, 'entries', 'reviewed_by', 'INTEGER');
+  await addColumnIfMissing(q, 'entries', 'reviewed_at', 'DATETIME');
+}
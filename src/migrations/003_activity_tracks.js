@@ -0,0 +1,22 @@
+// Parsed GPX/TCX/FIT tracks attached to entries as proof of the run
+export async function up(q) {
+  await q.run(
+    `CREATE TABLE IF NOT EXISTS activity_tracks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      entry_id INTEGER UNIQUE,
+      format TEXT NOT NULL CHECK (format IN ('gpx', 'tcx', 'fit')),
+      filename TEXT NOT NULL,
+      originalname TEXT NOT NULL,
+      size INTEGER NOT NULL,
+      distance_km REAL NOT NULL,
+      moving_hours REAL NOT NULL,
+      avg_pace REAL,
+      start_time DATETIME,
+      track_points TEXT,
+      created_at DATETIME DEFAULT (datetime('now', '+8 hours')),
+      FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY(entry_id) REFERENCES entries(id) ON DELETE CASCADE
+    )`
+  );
+}
@@ -0,0 +1,15 @@
+// One-time password reset tokens (stored hashed, expiry times in UTC)
+export async function up(q) {
+  await q.run(
+    `CREATE TABLE IF NOT EXISTS password_resets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      expires_at DATETIME NOT NULL,
+      used_at DATETIME,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT (datetime('now', '+8 hours')),
+      FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`
+  );
+}
@@ -0,0 +1,6 @@
+import { addColumnIfMissing } from '../migrate.js';
+
+// Where an entry came from. Imported entries have no screenshot in uploads.
+export async function up(q) {
+  await addColumnIfMissing(q, 'entries', 'source', "TEXT NOT NULL DEFAULT 'app' CHECK (source IN ('app', 'import'))");
+}
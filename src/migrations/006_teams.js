@@ -0,0 +1,36 @@
+import { addColumnIfMissing } from '../migrate.js';
+
+// Teams (clubs) and their members. A membership without event_id is the user's
+// default team; a membership for a specific event overrides it in that event.
+export async function up(q) {
+  await q.run(
+    `CREATE TABLE IF NOT EXISTS teams (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL COLLATE NOCASE,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT (datetime('now', '+8 hours'))
+    )`
+  );
+  await q.run(
+    `CREATE TABLE IF NOT EXISTS team_members (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      team_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      event_id INTEGER,
+      joined_at DATETIME DEFAULT (datetime('now', '+8 hours')),
+      FOREIGN KEY(team_id) REFERENCES teams(id) ON DELETE CASCADE,
+      FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY(event_id) REFERENCES events(id) ON DELETE CASCADE
+    )`
+  );
+  // One default team per user, and at most one team per user in each event
+  await q.run('CREATE UNIQUE INDEX IF NOT EXISTS team_members_user_scope ON team_members(user_id, IFNULL(event_id, 0))');
+
+  await addColumnIfMissing(
+    q,
+    'events',
+    'team_scoring',
+    "TEXT NOT NULL DEFAULT 'sum' CHECK (team_scoring IN ('sum', 'average', 'top_n'))"
+  );
+  await addColumnIfMissing(q, 'events', 'team_top_n', 'INTEGER NOT NULL DEFAULT 3');
+}
@@ -0,0 +1,13 @@
+import { addColumnIfMissing } from '../migrate.js';
+
+// How an event ranks its participants. Tie-breakers are a comma-separated list
+// of the same metrics (plus joined_at); existing events keep ranking by total km.
+export async function up(q) {
+  await addColumnIfMissing(
+    q,
+    'events',
+    'ranking_metric',
+    "TEXT NOT NULL DEFAULT 'total_km' CHECK (ranking_metric IN ('total_km', 'total_hours', 'total_days', 'avg_pace', 'goal_pct'))"
+  );
+  await addColumnIfMissing(q, 'events', 'ranking_tiebreakers', "TEXT NOT NULL DEFAULT ''");
+}
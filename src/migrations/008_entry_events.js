@@ -0,0 +1,29 @@
+import { addColumnIfMissing } from '../migrate.js';
+
+// Entries belong to at most one event instead of counting toward every joined
+// event whose dates overlap. Events decide whether entries count from the event
+// start or only from the day the runner joined.
+export async function up(q) {
+  const added = await addColumnIfMissing(q, 'entries', 'event_id', 'INTEGER REFERENCES events(id) ON DELETE SET NULL');
+  await q.run('CREATE INDEX IF NOT EXISTS entries_event_user ON entries(event_id, user_id)');
+  await addColumnIfMissing(
+    q,
+    'events',
+    'count_entries_from',
+    "TEXT NOT NULL DEFAULT 'event_start' CHECK (count_entries_from IN ('event_start', 'joined_at'))"
+  );
+
+  // Existing entries go to the event the runner joined first among those
+  // whose period covers the entry date
+  if (added) {
+    await q.run(
+      `UPDATE entries SET event_id = (
+         SELECT ev.id FROM events ev
+         JOIN event_participants ep ON ep.event_id = ev.id AND ep.user_id = entries.user_id
+         WHERE entries.entry_date >= ev.start_date AND entries.entry_date <= ev.end_date
+         ORDER BY ep.joined_at ASC, ev.id ASC
+         LIMIT 1
+       )`
+    );
+  }
+}
@@ -0,0 +1,57 @@
+import { addColumnIfMissing } from '../migrate.js';
+
+// Event lifecycle (draft -> registration -> active -> grace -> closed) and the
+// standings frozen when an event closes. The scheduler works out the current
+// state from the dates on its first run, so existing events start as 'active'.
+export async function up(q) {
+  await addColumnIfMissing(
+    q,
+    'events',
+    'status',
+    "TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('draft', 'registration', 'active', 'grace', 'closed'))"
+  );
+  await addColumnIfMissing(q, 'events', 'grace_days', 'INTEGER NOT NULL DEFAULT 0');
+  await addColumnIfMissing(q, 'events', 'closed_at', 'DATETIME');
+  // NULL with a closed_at means the scheduler closed it
+  await addColumnIfMissing(q, 'events', 'closed_by', 'INTEGER');
+
+  await q.run(
+    `CREATE TABLE IF NOT EXISTS event_results (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      rank INTEGER NOT NULL,
+      email TEXT NOT NULL,
+      total_km REAL NOT NULL,
+      total_hours REAL NOT NULL,
+      entry_count INTEGER NOT NULL,
+      total_days INTEGER NOT NULL,
+      avg_pace REAL,
+      goal_pct REAL,
+      score REAL,
+      team_id INTEGER,
+      team_name TEXT,
+      joined_at DATETIME,
+      FOREIGN KEY(event_id) REFERENCES events(id) ON DELETE CASCADE,
+      UNIQUE(event_id, user_id)
+    )`
+  );
+  await q.run(
+    `CREATE TABLE IF NOT EXISTS event_team_results (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event_id INTEGER NOT NULL,
+      team_id INTEGER NOT NULL,
+      rank INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      member_count INTEGER NOT NULL,
+      counted_members INTEGER NOT NULL,
+      total_km REAL NOT NULL,
+      total_hours REAL NOT NULL,
+      score REAL,
+      score_km REAL NOT NULL,
+      score_hours REAL NOT NULL,
+      FOREIGN KEY(event_id) REFERENCES events(id) ON DELETE CASCADE,
+      UNIQUE(event_id, team_id)
+    )`
+  );
+}
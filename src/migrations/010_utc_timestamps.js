@@ -0,0 +1,71 @@
+import { addColumnIfMissing } from '../migrate.js';
+import { appTimezone, localDate, parseUtc } from '../timezone.js';
+
+const PH_DEFAULT = /\(datetime\('now', '\+8 hours'\)\)/g;
+
+// Columns the code always wrote with datetime('now', '+8 hours'), whatever
+// their table's default
+const PH_WRITTEN = [
+  ['entries', 'reviewed_at'],
+  ['events', 'closed_at']
+];
+
+async function shiftToUtc(q, table, column) {
+  await q.run(`UPDATE ${table} SET ${column} = datetime(${column}, '-8 hours') WHERE ${column} IS NOT NULL`);
+}
+
+// SQLite can't change a column default in place, so copy the table into one
+// created from the same SQL with the default swapped, keeping its indexes and
+// AUTOINCREMENT counter
+async function rebuildWithUtcDefaults(q, table, sql) {
+  const indexes = await q.all(
+    "SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND sql IS NOT NULL",
+    [table]
+  );
+  const seq = await q.get('SELECT seq FROM sqlite_sequence WHERE name = ?', [table]).catch(() => null);
+
+  const createSql = sql
+    .replace(PH_DEFAULT, 'CURRENT_TIMESTAMP')
+    .replace(/^CREATE TABLE\s+("?)\w+\1/i, `CREATE TABLE ${table}_utc`);
+  await q.run(createSql);
+  await q.run(`INSERT INTO ${table}_utc SELECT * FROM ${table}`);
+  await q.run(`DROP TABLE ${table}`);
+  await q.run(`ALTER TABLE ${table}_utc RENAME TO ${table}`);
+  for (const index of indexes) await q.run(index.sql);
+  if (seq) await q.run('UPDATE sqlite_sequence SET seq = ? WHERE name = ?', [seq.seq, table]);
+}
+
+// Store every timestamp in UTC. Tables created before this migration, in
+// databases from before migrations as well as by the earlier migrations,
+// defaulted to Philippine time (UTC+8), so their timestamps are shifted back
+// and the defaults replaced.
+// Users can pick their own timezone, and each participant keeps the local day
+// they joined on for events that count entries from the join day.
+export async function up(q) {
+  const tables = await q.all(
+    "SELECT name, sql FROM sqlite_master WHERE type = 'table' AND sql LIKE '%datetime(''now'', ''+8 hours'')%'"
+  );
+  const shifted = new Set();
+  for (const { name, sql } of tables) {
+    const columns = (await q.all(`PRAGMA table_info(${name})`))
+      .filter(c => c.dflt_value && c.dflt_value.includes("'+8 hours'"));
+    for (const c of columns) await shiftToUtc(q, name, c.name);
+    await rebuildWithUtcDefaults(q, name, sql);
+    shifted.add(name);
+  }
+  for (const [table, column] of PH_WRITTEN) await shiftToUtc(q, table, column);
+  // Frozen standings copied joined_at from event_participants
+  if (shifted.has('event_participants')) await shiftToUtc(q, 'event_results', 'joined_at');
+
+  // NULL means the application timezone
+  await addColumnIfMissing(q, 'users', 'timezone', 'TEXT');
+
+  if (await addColumnIfMissing(q, 'event_participants', 'joined_on', 'DATE')) {
+    const rows = await q.all('SELECT id, joined_at FROM event_participants');
+    for (const row of rows) {
+      const joinedAt = parseUtc(row.joined_at);
+      if (!joinedAt) continue;
+      await q.run('UPDATE event_participants SET joined_on = ? WHERE id = ?', [localDate(joinedAt, appTimezone()), row.id]);
+    }
+  }
+}
@@ -0,0 +1,36 @@
+// Badges earned by users. Milestone badges have no event; event badges (goal
+// reached, podium) are earned once per event. Events closed before this
+// migration get their event badges from the frozen standings; milestone badges
+// are worked out the next time a runner's entries change or they open the list.
+export async function up(q) {
+  await q.run(
+    `CREATE TABLE IF NOT EXISTS user_achievements (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      code TEXT NOT NULL,
+      event_id INTEGER,
+      detail TEXT,
+      earned_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY(event_id) REFERENCES events(id) ON DELETE CASCADE
+    )`
+  );
+  await q.run(
+    'CREATE UNIQUE INDEX IF NOT EXISTS user_achievements_scope ON user_achievements(user_id, code, IFNULL(event_id, 0))'
+  );
+
+  await q.run(
+    `INSERT OR IGNORE INTO user_achievements (user_id, code, event_id, detail, earned_at)
+     SELECT r.user_id, 'event_podium', r.event_id, '#' || r.rank, COALESCE(ev.closed_at, CURRENT_TIMESTAMP)
+     FROM event_results r
+     JOIN events ev ON ev.id = r.event_id
+     WHERE r.rank <= 3 AND r.total_km > 0`
+  );
+  await q.run(
+    `INSERT OR IGNORE INTO user_achievements (user_id, code, event_id, earned_at)
+     SELECT r.user_id, 'event_goal', r.event_id, COALESCE(ev.closed_at, CURRENT_TIMESTAMP)
+     FROM event_results r
+     JOIN events ev ON ev.id = r.event_id
+     WHERE ev.km_goal > 0 AND r.total_km >= ev.km_goal`
+  );
+}
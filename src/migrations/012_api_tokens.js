@@ -0,0 +1,18 @@
+// Personal access tokens for scripts and devices. Only a hash of the token is
+// kept; token_prefix lets the owner tell their tokens apart.
+export async function up(q) {
+  await q.run(
+    `CREATE TABLE IF NOT EXISTS api_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      token_prefix TEXT NOT NULL,
+      scopes TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      last_used_at DATETIME,
+      FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`
+  );
+  await q.run('CREATE INDEX IF NOT EXISTS api_tokens_user ON api_tokens(user_id)');
+}
@@ -0,0 +1,36 @@
+// Outgoing webhooks and a log of every delivery. events is a comma-separated
+// list of event names. A delivery keeps the exact body sent so it can be
+// redelivered unchanged.
+export async function up(q) {
+  await q.run(
+    `CREATE TABLE IF NOT EXISTS webhooks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      events TEXT NOT NULL,
+      description TEXT,
+      active INTEGER NOT NULL DEFAULT 1,
+      created_by INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+  await q.run(
+    `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      webhook_id INTEGER NOT NULL,
+      event TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'delivered', 'failed')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      response_status INTEGER,
+      last_error TEXT,
+      next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      redelivery_of INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      delivered_at DATETIME,
+      FOREIGN KEY(webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+    )`
+  );
+  await q.run('CREATE INDEX IF NOT EXISTS webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)');
+  await q.run('CREATE INDEX IF NOT EXISTS webhook_deliveries_hook ON webhook_deliveries(webhook_id, id)');
+}
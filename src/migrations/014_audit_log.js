@@ -0,0 +1,25 @@
+// Who changed what: one row per mutating action, with the target row as it
+// was before and after (JSON). subject_user_id is the runner whose data was
+// touched, so they can see changes made to their own entries.
+export async function up(q) {
+  await q.run(
+    `CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      actor_id INTEGER,
+      actor_email TEXT,
+      via TEXT NOT NULL CHECK (via IN ('session', 'token', 'system')),
+      action TEXT NOT NULL,
+      target_type TEXT NOT NULL,
+      target_id INTEGER,
+      subject_user_id INTEGER,
+      before_json TEXT,
+      after_json TEXT,
+      ip TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+  await q.run('CREATE INDEX IF NOT EXISTS audit_log_created ON audit_log(created_at)');
+  await q.run('CREATE INDEX IF NOT EXISTS audit_log_target ON audit_log(target_type, target_id)');
+  await q.run('CREATE INDEX IF NOT EXISTS audit_log_subject ON audit_log(subject_user_id, id)');
+  await q.run('CREATE INDEX IF NOT EXISTS audit_log_actor ON audit_log(actor_id, id)');
+}
@@ -0,0 +1,12 @@
+import { addColumnIfMissing } from '../migrate.js';
+
+// Deleting an entry, user or event moves it to the trash: deleted_at is set
+// and every query leaves the row out. The purge job removes rows (and their
+// files) for good once they have been in the trash past the retention window.
+export async function up(q) {
+  for (const table of ['entries', 'users', 'events']) {
+    await addColumnIfMissing(q, table, 'deleted_at', 'DATETIME');
+    await addColumnIfMissing(q, table, 'deleted_by', 'INTEGER');
+    await q.run(`CREATE INDEX IF NOT EXISTS ${table}_deleted_at ON ${table}(deleted_at)`);
+  }
+}
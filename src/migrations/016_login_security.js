@@ -0,0 +1,19 @@
+import { addColumnIfMissing } from '../migrate.js';
+
+// Account lockout after repeated failed logins, and a flag that keeps an
+// account out of everything but the password change until it gets a new
+// password (set for the primary admin while it still has the old default).
+// login_ip_attempts counts the login attempts from each address for the
+// per-IP rate limit; failed logins are also recorded in the audit log.
+export async function up(q) {
+  await addColumnIfMissing(q, 'users', 'failed_logins', 'INTEGER NOT NULL DEFAULT 0');
+  await addColumnIfMissing(q, 'users', 'locked_until', 'DATETIME');
+  await addColumnIfMissing(q, 'users', 'must_change_password', 'INTEGER NOT NULL DEFAULT 0');
+  await q.run(
+    `CREATE TABLE IF NOT EXISTS login_ip_attempts (
+      ip TEXT PRIMARY KEY,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      window_started_at DATETIME NOT NULL
+    )`
+  );
+}
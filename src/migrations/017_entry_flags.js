@@ -0,0 +1,7 @@
+import { addColumnIfMissing } from '../migrate.js';
+
+// Entries that pass validation but look implausible (very fast pace, a huge
+// day) are saved with the reasons in flags, a JSON array, so reviewers see them
+export async function up(q) {
+  await addColumnIfMissing(q, 'entries', 'flags', 'TEXT');
+}
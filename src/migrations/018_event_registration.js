@@ -0,0 +1,32 @@
+import { addColumnIfMissing } from '../migrate.js';
+
+// Registration rules for events: an optional sign-up window, a cap on
+// participants with a waitlist behind it, and private events that can only be
+// joined with their invite code
+export async function up(q) {
+  await addColumnIfMissing(q, 'events', 'registration_opens', 'DATE');
+  await addColumnIfMissing(q, 'events', 'registration_closes', 'DATE');
+  // NULL means no cap
+  await addColumnIfMissing(q, 'events', 'max_participants', 'INTEGER');
+  await addColumnIfMissing(
+    q,
+    'events',
+    'visibility',
+    "TEXT NOT NULL DEFAULT 'public' CHECK (visibility IN ('public', 'private'))"
+  );
+  await addColumnIfMissing(q, 'events', 'invite_code', 'TEXT');
+  await q.run('CREATE UNIQUE INDEX IF NOT EXISTS events_invite_code ON events(invite_code)');
+
+  // Runners waiting for a place, first come first served
+  await q.run(
+    `CREATE TABLE IF NOT EXISTS event_waitlist (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      event_id INTEGER NOT NULL,
+      user_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY(event_id) REFERENCES events(id) ON DELETE CASCADE,
+      FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(event_id, user_id)
+    )`
+  );
+}
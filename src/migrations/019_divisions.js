@@ -0,0 +1,29 @@
+import { addColumnIfMissing } from '../migrate.js';
+
+// Divisions in event rankings. Runners give a birth date for age groups and
+// pick a category when they join; events choose which of gender, age bracket
+// and category split their standings. Frozen results keep the division each
+// runner was ranked in.
+export async function up(q) {
+  await addColumnIfMissing(q, 'users', 'birth_date', 'DATE');
+
+  await addColumnIfMissing(q, 'events', 'division_by_gender', 'INTEGER NOT NULL DEFAULT 0');
+  await addColumnIfMissing(q, 'events', 'division_by_category', 'INTEGER NOT NULL DEFAULT 0');
+  // Lowest age of each bracket after the first, comma separated ('30,40,50');
+  // empty for no age groups
+  await addColumnIfMissing(q, 'events', 'age_brackets', "TEXT NOT NULL DEFAULT ''");
+
+  if (await addColumnIfMissing(q, 'event_participants', 'category', 'TEXT')) {
+    await q.run(
+      `UPDATE event_participants
+       SET category = (SELECT category FROM events WHERE events.id = event_participants.event_id)`
+    );
+  }
+  await addColumnIfMissing(q, 'event_waitlist', 'category', 'TEXT');
+
+  await addColumnIfMissing(q, 'event_results', 'gender', 'TEXT');
+  await addColumnIfMissing(q, 'event_results', 'age', 'INTEGER');
+  await addColumnIfMissing(q, 'event_results', 'category', 'TEXT');
+  await addColumnIfMissing(q, 'event_results', 'division', 'TEXT');
+  await addColumnIfMissing(q, 'event_results', 'division_rank', 'INTEGER');
+}
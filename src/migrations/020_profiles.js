@@ -0,0 +1,16 @@
+import { addColumnIfMissing } from '../migrate.js';
+
+// Public profiles: the name, avatar and bio other runners see instead of the
+// login email, and how much of it shows up in rankings and participant lists
+export async function up(q) {
+  await addColumnIfMissing(q, 'users', 'display_name', 'TEXT');
+  await addColumnIfMissing(q, 'users', 'bio', 'TEXT');
+  // File in the uploads directory, served under a random name
+  await addColumnIfMissing(q, 'users', 'avatar_filename', 'TEXT');
+  await addColumnIfMissing(
+    q,
+    'users',
+    'privacy',
+    "TEXT NOT NULL DEFAULT 'public' CHECK (privacy IN ('public', 'members', 'anonymous'))"
+  );
+}
@@ -0,0 +1,16 @@
+import { addColumnIfMissing, columnExists } from '../migrate.js';
+
+// Roles instead of the all-or-nothing is_admin flag: admins run everything,
+// organizers manage the events they created, moderators review entries
+export async function up(q) {
+  await addColumnIfMissing(
+    q,
+    'users',
+    'role',
+    "TEXT NOT NULL DEFAULT 'runner' CHECK (role IN ('runner', 'moderator', 'organizer', 'admin'))"
+  );
+  if (await columnExists(q, 'users', 'is_admin')) {
+    await q.run("UPDATE users SET role = 'admin' WHERE is_admin = 1");
+    await q.run('ALTER TABLE users DROP COLUMN is_admin');
+  }
+}
@@ -0,0 +1,4 @@
+// Entries can carry several screenshots, so uploads are looked up by entry
+export async function up(q) {
+  await q.run('CREATE INDEX IF NOT EXISTS uploads_entry ON uploads(entry_id)');
+}
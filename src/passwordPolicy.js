@@ -0,0 +1,20 @@
+// Admin accounts need a strong password: this long, with at least three of
+// lowercase, uppercase, digits and other characters
+const MIN_LENGTH = 12;
+const MIN_CHARACTER_KINDS = 3;
+
+const WEAK_WORDS = ['password', 'admin', 'letmein', 'qwerty', '123456'];
+
+// Why the password is too weak for the account, or null if it is fine
+export function passwordProblem(password, email = '') {
+  const value = String(password || '');
+  if (value.length < MIN_LENGTH) return `Use at least ${MIN_LENGTH} characters`;
+  const kinds = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/].filter(re => re.test(value)).length;
+  if (kinds < MIN_CHARACTER_KINDS) return 'Mix at least three of lowercase letters, uppercase letters, digits and symbols';
+  const lower = value.toLowerCase();
+  const name = String(email || '').toLowerCase().split('@')[0];
+  if (name.length >= 3 && lower.includes(name)) return 'Do not use the account name in the password';
+  const word = WEAK_WORDS.find(w => lower.includes(w));
+  if (word) return `Do not use common words like "${word}"`;
+  return null;
+}
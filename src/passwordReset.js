@@ -0,0 +1,77 @@
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import { getDb, transaction } from './db.js';
+import { appUrl } from './mailer.js';
+import { passwordProblem } from './passwordPolicy.js';
+import { isStaff } from './roles.js';
+
+const db = getDb();
+
+// Reset tokens are single use and expire after an hour
+const TOKEN_TTL_MINUTES = 60;
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Issues a new reset token for the user and invalidates any earlier unused ones,
+// both or neither. The plain token is only returned here; the database keeps its hash.
+export function createResetToken(userId, createdBy, cb) {
+  const token = crypto.randomBytes(32).toString('hex');
+  transaction(async (tx) => {
+    await tx.run(
+      "UPDATE password_resets SET used_at = datetime('now') WHERE user_id = ? AND used_at IS NULL",
+      [userId]
+    );
+    await tx.run(
+      `INSERT INTO password_resets (user_id, token_hash, expires_at, created_by)
+       VALUES (?, ?, datetime('now', ?), ?)`,
+      [userId, hashToken(token), `+${TOKEN_TTL_MINUTES} minutes`, createdBy || null]
+    );
+  }).then(() => cb(null, { token, expiresInMinutes: TOKEN_TTL_MINUTES }), err => cb(err));
+}
+
+// The reset page link for a token, or null without APP_URL
+export function resetLink(token) {
+  const base = appUrl();
+  return base ? `${base}/reset-password?token=${token}` : null;
+}
+
+// Sets a new password if the token is valid, unused and not expired, and
+// unlocks the account. Calls back with (err, userId, problem); userId is null
+// when the token is not usable, or when the password is too weak for a staff
+// account (problem says why, and the token stays usable).
+export function consumeResetToken(token, newPassword, cb) {
+  db.get(
+    `SELECT pr.id, pr.user_id, u.email, u.role
+     FROM password_resets pr
+     JOIN users u ON u.id = pr.user_id
+     WHERE pr.token_hash = ? AND pr.used_at IS NULL AND pr.expires_at > datetime('now')`,
+    [hashToken(token)],
+    (err, row) => {
+      if (err) return cb(err);
+      if (!row) return cb(null, null);
+      const problem = isStaff(row.role) ? passwordProblem(newPassword, row.email) : null;
+      if (problem) return cb(null, null, problem);
+      db.run(
+        "UPDATE password_resets SET used_at = datetime('now') WHERE id = ? AND used_at IS NULL",
+        [row.id],
+        function(useErr) {
+          if (useErr) return cb(useErr);
+          // Lost a race with another request using the same token
+          if (this.changes === 0) return cb(null, null);
+          const passwordHash = bcrypt.hashSync(newPassword, 10);
+          db.run(
+            `UPDATE users SET password_hash = ?, must_change_password = 0, failed_logins = 0, locked_until = NULL
+             WHERE id = ?`,
+            [passwordHash, row.user_id],
+            (updErr) => {
+              if (updErr) return cb(updErr);
+              cb(null, row.user_id);
+            }
+          );
+        }
+      );
+    }
+  );
+}
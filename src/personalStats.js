@@ -0,0 +1,207 @@
+import { getDb } from './db.js';
+import { addDays } from './timezone.js';
+
+const db = getDb();
+
+// Runs shorter than this are ignored for the fastest pace, so a 200 m sprint
+// logged as an entry doesn't stand as a personal best
+const MIN_PACE_KM = 1;
+const TREND_MONTHS = 12;
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function dayIndex(date) {
+  return Math.round(new Date(`${date}T00:00:00Z`).getTime() / (24 * 60 * 60 * 1000));
+}
+
+// Monday of the week the date falls in
+function weekStart(date) {
+  const weekday = (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7;
+  return addDays(date, -weekday);
+}
+
+function daysInMonth(month) {
+  const [y, m] = month.split('-').map(Number);
+  return new Date(Date.UTC(y, m, 0)).getUTCDate();
+}
+
+function shiftMonth(month, by) {
+  const [y, m] = month.split('-').map(Number);
+  const d = new Date(Date.UTC(y, m - 1 + by, 1));
+  return d.toISOString().slice(0, 7);
+}
+
+// Hours per km, from the stored pace or worked out from km and hours
+function entryPace(entry) {
+  if (entry.pace > 0) return entry.pace;
+  if (entry.km_run > 0 && entry.hours > 0) return entry.hours / entry.km_run;
+  return null;
+}
+
+function totalsBetween(entries, start, end) {
+  let km = 0;
+  let hours = 0;
+  let count = 0;
+  const days = new Set();
+  for (const e of entries) {
+    if (e.entry_date < start || e.entry_date > end) continue;
+    km += e.km_run;
+    hours += e.hours;
+    count++;
+    days.add(e.entry_date);
+  }
+  return {
+    start,
+    end,
+    km: round2(km),
+    hours: round2(hours),
+    entries: count,
+    active_days: days.size,
+    avg_pace: km > 0 && hours > 0 ? hours / km : null
+  };
+}
+
+function percentChange(current, previous) {
+  if (!previous) return null;
+  return round2(((current - previous) / previous) * 100);
+}
+
+// The current week, month and year up to today, each compared with the same
+// number of days at the start of the period before
+function periodTotals(entries, today) {
+  const week = weekStart(today);
+  const month = today.slice(0, 7);
+  const year = today.slice(0, 4);
+  const dayOfMonth = Number(today.slice(8, 10));
+  const prevMonth = shiftMonth(month, -1);
+  const prevYear = String(Number(year) - 1);
+  const elapsedInYear = dayIndex(today) - dayIndex(`${year}-01-01`);
+
+  const periods = {
+    week: [week, today, addDays(week, -7), addDays(today, -7)],
+    month: [
+      `${month}-01`, today,
+      `${prevMonth}-01`, `${prevMonth}-${String(Math.min(dayOfMonth, daysInMonth(prevMonth))).padStart(2, '0')}`
+    ],
+    year: [
+      `${year}-01-01`, today,
+      `${prevYear}-01-01`, addDays(`${prevYear}-01-01`, elapsedInYear)
+    ]
+  };
+
+  const result = {};
+  for (const [name, [start, end, prevStart, prevEnd]] of Object.entries(periods)) {
+    const current = totalsBetween(entries, start, end);
+    const previous = totalsBetween(entries, prevStart, prevEnd);
+    result[name] = {
+      ...current,
+      previous,
+      change: {
+        km_pct: percentChange(current.km, previous.km),
+        hours_pct: percentChange(current.hours, previous.hours)
+      }
+    };
+  }
+  return result;
+}
+
+// A streak is consecutive days with at least one entry. The current streak
+// still counts if the last run was yesterday, since today may not be logged yet.
+function streaks(days, today) {
+  let longest = { days: 0, start: null, end: null };
+  let runStart = null;
+  let prev = null;
+  for (const day of days) {
+    if (prev === null || dayIndex(day) - dayIndex(prev) !== 1) runStart = day;
+    const length = dayIndex(day) - dayIndex(runStart) + 1;
+    if (length > longest.days) longest = { days: length, start: runStart, end: day };
+    prev = day;
+  }
+
+  let current = { days: 0, start: null, end: null };
+  if (prev !== null && dayIndex(today) - dayIndex(prev) <= 1) {
+    current = { days: dayIndex(prev) - dayIndex(runStart) + 1, start: runStart, end: prev };
+  }
+  return { current, longest };
+}
+
+function personalBests(entries) {
+  let longestRun = null;
+  let fastest = null;
+  const weeks = new Map();
+  for (const e of entries) {
+    if (!longestRun || e.km_run > longestRun.km) {
+      longestRun = { km: round2(e.km_run), hours: round2(e.hours), date: e.entry_date, entry_id: e.id };
+    }
+    const pace = entryPace(e);
+    if (pace && e.km_run >= MIN_PACE_KM && (!fastest || pace < fastest.pace)) {
+      fastest = { pace, km: round2(e.km_run), date: e.entry_date, entry_id: e.id };
+    }
+    const week = weekStart(e.entry_date);
+    weeks.set(week, (weeks.get(week) || 0) + e.km_run);
+  }
+
+  let biggestWeek = null;
+  for (const [start, km] of weeks) {
+    if (!biggestWeek || km > biggestWeek.km) biggestWeek = { start, end: addDays(start, 6), km: round2(km) };
+  }
+  return {
+    longest_run: longestRun && longestRun.km > 0 ? longestRun : null,
+    fastest_pace: fastest,
+    biggest_week: biggestWeek && biggestWeek.km > 0 ? biggestWeek : null
+  };
+}
+
+// Average pace per month over the last TREND_MONTHS months, oldest first.
+// Months without timed runs have a null pace.
+function paceTrend(entries, today) {
+  const firstMonth = shiftMonth(today.slice(0, 7), -(TREND_MONTHS - 1));
+  const months = new Map();
+  for (let i = 0; i < TREND_MONTHS; i++) months.set(shiftMonth(firstMonth, i), { km: 0, hours: 0, timedKm: 0, timedHours: 0 });
+  for (const e of entries) {
+    const m = months.get(e.entry_date.slice(0, 7));
+    if (!m) continue;
+    m.km += e.km_run;
+    m.hours += e.hours;
+    if (e.km_run > 0 && e.hours > 0) {
+      m.timedKm += e.km_run;
+      m.timedHours += e.hours;
+    }
+  }
+  return [...months].map(([month, m]) => ({
+    month,
+    km: round2(m.km),
+    hours: round2(m.hours),
+    avg_pace: m.timedKm > 0 ? m.timedHours / m.timedKm : null
+  }));
+}
+
+// Everything the stats endpoint reports, from a user's entries sorted by date.
+// today is the user's local date (YYYY-MM-DD).
+export function computeStats(entries, today) {
+  const days = [...new Set(entries.map(e => e.entry_date))].filter(d => d <= today);
+  const all = totalsBetween(entries, '0000-01-01', '9999-12-31');
+  return {
+    today,
+    totals: periodTotals(entries, today),
+    all_time: { km: all.km, hours: all.hours, entries: all.entries, active_days: all.active_days, avg_pace: all.avg_pace },
+    streaks: streaks(days, today),
+    bests: personalBests(entries),
+    pace_trend: paceTrend(entries, today)
+  };
+}
+
+// Rejected entries are left out; pending ones count until an admin rejects
+// them, unless approvedOnly is set (badges only count reviewed distance)
+export function fetchUserEntries(userId, { approvedOnly = false }, cb) {
+  db.all(
+    `SELECT id, entry_date, km_run, hours, pace
+     FROM entries
+     WHERE user_id = ? AND ${approvedOnly ? "status = 'approved'" : "status <> 'rejected'"} AND deleted_at IS NULL
+     ORDER BY entry_date ASC, id ASC`,
+    [userId],
+    (err, rows) => cb(err, rows || [])
+  );
+}
@@ -0,0 +1,148 @@
+import { getDb } from './db.js';
+import { isRealDate } from './entryValidation.js';
+import { groupDivisions } from './rankings.js';
+import { managesEvent } from './roles.js';
+import { todayIn } from './timezone.js';
+
+const db = getDb();
+
+// public: everyone sees the runner's name and avatar. members: only runners
+// taking part in the same event do. anonymous: nobody does in rankings and
+// participant lists. Runners always see themselves; admins and an event's
+// organizer see everyone.
+export const PRIVACY_SETTINGS = ['public', 'members', 'anonymous'];
+
+export const ANONYMOUS_NAME = 'Anonymous runner';
+
+// The name shown for a user: their display name, or "Runner <id>" until they pick one
+export function displayName(user) {
+  return user.display_name || `Runner ${user.id}`;
+}
+
+export function avatarUrl(user) {
+  return user.avatar_filename ? `/api/avatars/${user.avatar_filename}` : null;
+}
+
+// Birth dates decide age-group divisions; they are optional
+export function birthDateProblem(value) {
+  if (value === null) return null;
+  if (!isRealDate(value)) return 'Birth date must be YYYY-MM-DD';
+  if (value > todayIn() || value < '1900-01-01') return 'Birth date is not valid';
+  return null;
+}
+
+// Validates the fields of a profile update. Returns { values } with only the
+// fields present in the body, so the others keep their value, or { error }.
+export function profileFromBody(body) {
+  const values = {};
+  if (body.display_name !== undefined) {
+    const name = String(body.display_name ?? '').trim().replace(/\s+/g, ' ');
+    if (name && (name.length < 2 || name.length > 40)) return { error: 'Display name must be 2 to 40 characters' };
+    if (name.toLowerCase() === ANONYMOUS_NAME.toLowerCase()) return { error: 'That display name is reserved' };
+    values.display_name = name || null;
+  }
+  if (body.bio !== undefined) {
+    const bio = String(body.bio ?? '').trim();
+    if (bio.length > 500) return { error: 'Bio must be at most 500 characters' };
+    values.bio = bio || null;
+  }
+  if (body.privacy !== undefined) {
+    if (!PRIVACY_SETTINGS.includes(body.privacy)) return { error: 'Invalid privacy setting' };
+    values.privacy = body.privacy;
+  }
+  if (body.birth_date !== undefined) {
+    const birthDate = body.birth_date || null;
+    const problem = birthDateProblem(birthDate);
+    if (problem) return { error: problem };
+    values.birth_date = birthDate;
+  }
+  return { values };
+}
+
+// Whether viewer ({ userId, isManager, isMember }) may see who the user is.
+// isManager says the viewer manages the event (or is an admin), isMember that
+// they take part in it.
+export function canSeeRunner(profile, viewer) {
+  if (!profile) return false;
+  if (viewer.isManager || profile.id === viewer.userId) return true;
+  if (profile.privacy === 'anonymous') return false;
+  return profile.privacy !== 'members' || viewer.isMember;
+}
+
+// The viewer of an event's standings or participants
+export function eventViewer(req, eventId, cb) {
+  db.get(
+    `SELECT created_by,
+            EXISTS (SELECT 1 FROM event_participants WHERE event_id = events.id AND user_id = ?) as is_member
+     FROM events WHERE id = ?`,
+    [req.session.userId, eventId],
+    (err, row) => {
+      if (err) return cb(err);
+      cb(null, {
+        userId: req.session.userId,
+        isManager: !!row && managesEvent(req, row),
+        isMember: !!row && !!row.is_member
+      });
+    }
+  );
+}
+
+function loadProfiles(ids, cb) {
+  const unique = [...new Set(ids.filter(Boolean))];
+  if (!unique.length) return cb(null, new Map());
+  db.all(
+    `SELECT id, display_name, avatar_filename, privacy
+     FROM users
+     WHERE id IN (${unique.map(() => '?').join(',')}) AND deleted_at IS NULL`,
+    unique,
+    (err, rows) => {
+      if (err) return cb(err);
+      cb(null, new Map(rows.map(p => [p.id, p])));
+    }
+  );
+}
+
+// A row about a runner (keyed by id) as the viewer may see it: with their
+// display name and avatar, or as an anonymous runner without their id.
+// Emails and birth dates are always left out; managers also get the privacy setting.
+function presentRunner(row, profile, viewer) {
+  const { email, birth_date, age, ...rest } = row;
+  if (!canSeeRunner(profile, viewer)) {
+    return { ...rest, id: null, display_name: ANONYMOUS_NAME, avatar_url: null, anonymous: true };
+  }
+  return {
+    ...rest,
+    display_name: displayName(profile),
+    avatar_url: avatarUrl(profile),
+    anonymous: false,
+    ...(viewer.isManager ? { privacy: profile.privacy } : {})
+  };
+}
+
+// Participant rows as the viewer may see them (see presentRunner)
+export function presentRunners(rows, viewer, cb) {
+  loadProfiles(rows.map(r => r.id), (err, profiles) => {
+    if (err) return cb(err);
+    cb(null, rows.map(r => presentRunner(r, profiles.get(r.id), viewer)));
+  });
+}
+
+// Standings from fetchStandings as the viewer may see them: the individual
+// ranking, team members and divisions
+export function presentStandings(standings, viewer, cb) {
+  const ids = [
+    ...standings.ranking.map(r => r.id),
+    ...standings.teams.flatMap(t => t.members.map(m => m.id))
+  ];
+  loadProfiles(ids, (err, profiles) => {
+    if (err) return cb(err);
+    const show = r => presentRunner(r, profiles.get(r.id), viewer);
+    const ranking = standings.ranking.map(show);
+    cb(null, {
+      ...standings,
+      ranking,
+      teams: standings.teams.map(t => ({ ...t, members: t.members.map(show) })),
+      divisions: groupDivisions(ranking)
+    });
+  });
+}
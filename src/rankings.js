@@ -0,0 +1,307 @@
+import { getDb } from './db.js';
+
+const db = getDb();
+
+export const TEAM_SCORING = ['sum', 'average', 'top_n'];
+
+// Ranking metrics and whether a higher value ranks first. avg_pace is hours per
+// km, so lower is better; participants without any distance have no pace.
+export const RANKING_METRICS = {
+  total_km: { label: 'Total distance', higherIsBetter: true },
+  total_hours: { label: 'Total time', higherIsBetter: true },
+  total_days: { label: 'Active days', higherIsBetter: true },
+  avg_pace: { label: 'Best average pace', higherIsBetter: false },
+  goal_pct: { label: 'Percentage of km goal', higherIsBetter: true }
+};
+// Tie-breakers can use any metric, or who joined the event first
+export const RANKING_TIEBREAKERS = [...Object.keys(RANKING_METRICS), 'joined_at'];
+
+export const CATEGORIES = ['advanced', 'intermediate'];
+const CATEGORY_LABELS = { advanced: 'Advanced', intermediate: 'Intermediate' };
+const GENDER_LABELS = { male: 'Male', female: 'Female' };
+
+export function parseTiebreakers(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map(v => String(v).trim()).filter(Boolean);
+}
+
+function compareValues(a, b, higherIsBetter) {
+  // Missing values (no pace yet) always rank last
+  if (a == null && b == null) return 0;
+  if (a == null) return 1;
+  if (b == null) return -1;
+  return higherIsBetter ? b - a : a - b;
+}
+
+// Orders ranking rows by the event's metric, then its tie-breakers, then email
+function compareRows(event) {
+  const metric = RANKING_METRICS[event.ranking_metric] ? event.ranking_metric : 'total_km';
+  const keys = [metric, ...parseTiebreakers(event.ranking_tiebreakers).filter(k => k !== metric)];
+  return (a, b) => {
+    for (const key of keys) {
+      const diff = key === 'joined_at'
+        ? String(a.joined_at || '').localeCompare(String(b.joined_at || ''))
+        : RANKING_METRICS[key] ? compareValues(a[key], b[key], RANKING_METRICS[key].higherIsBetter) : 0;
+      if (diff !== 0) return diff;
+    }
+    return a.email.localeCompare(b.email) || a.id - b.id;
+  };
+}
+
+// Adds avg_pace, goal_pct, score (the value of the ranking metric) and rank
+export function rankParticipants(event, rows) {
+  const metric = RANKING_METRICS[event.ranking_metric] ? event.ranking_metric : 'total_km';
+  const goal = Number(event.km_goal) || 0;
+  return rows
+    .map(r => {
+      const totalKm = Number(r.total_km) || 0;
+      const row = {
+        ...r,
+        avg_pace: totalKm > 0 && r.total_hours > 0 ? r.total_hours / totalKm : null,
+        goal_pct: goal > 0 ? Math.min(100, totalKm / goal * 100) : 0
+      };
+      row.score = row[metric];
+      return row;
+    })
+    .sort(compareRows(event))
+    .map((r, index) => ({ ...r, rank: index + 1 }));
+}
+
+// Participants of an event with the approved entries linked to it, ranked by the
+// event's rule (see rankParticipants). With count_entries_from = 'joined_at',
+// entries dated before the day the runner joined (joined_on) are left out.
+// team_id/team_name is the user's team for this event, falling back to their default team.
+export function fetchEventRanking(event, cb) {
+  db.all(
+    `SELECT u.id, u.email, u.display_name, u.gender, u.birth_date, COALESCE(ep.category, ?) as category,
+            COALESCE(SUM(e.km_run), 0) as total_km, COALESCE(SUM(e.hours), 0) as total_hours,
+            COUNT(e.id) as entry_count, COUNT(DISTINCT e.entry_date) as total_days, ep.joined_at,
+            t.id as team_id, t.name as team_name
+     FROM event_participants ep
+     JOIN users u ON u.id = ep.user_id AND u.deleted_at IS NULL
+     LEFT JOIN team_members tm ON tm.id = COALESCE(
+       (SELECT id FROM team_members WHERE user_id = u.id AND event_id = ep.event_id),
+       (SELECT id FROM team_members WHERE user_id = u.id AND event_id IS NULL)
+     )
+     LEFT JOIN teams t ON t.id = tm.team_id
+     LEFT JOIN entries e ON e.user_id = u.id AND e.event_id = ep.event_id AND e.status = 'approved'
+       AND e.deleted_at IS NULL AND e.entry_date >= ? AND e.entry_date <= ?
+       AND (? <> 'joined_at' OR e.entry_date >= ep.joined_on)
+     WHERE ep.event_id = ?
+     GROUP BY u.id, u.email, u.display_name, u.gender, u.birth_date, ep.category, ep.joined_at, t.id, t.name`,
+    [event.category, event.start_date, event.end_date, event.count_entries_from || 'event_start', event.id],
+    (err, rows) => {
+      if (err) return cb(err);
+      const ranked = rankParticipants(event, rows || []).map(({ birth_date, ...r }) => ({
+        ...r,
+        age: ageOn(birth_date, event.start_date)
+      }));
+      cb(null, assignDivisions(event, ranked));
+    }
+  );
+}
+
+// Whole years between birthDate and day (both YYYY-MM-DD), or null without a birth date
+export function ageOn(birthDate, day) {
+  if (!birthDate || !day) return null;
+  const [by, bm, bd] = birthDate.split('-').map(Number);
+  const [y, m, d] = day.split('-').map(Number);
+  return y - by - (m < bm || (m === bm && d < bd) ? 1 : 0);
+}
+
+export function parseAgeBrackets(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map(v => String(v).trim()).filter(Boolean).map(Number);
+}
+
+// 'Under 30', '30-39', '50+' for brackets starting at 30, 40 and 50
+function ageBracketLabel(bounds, age) {
+  if (age == null) return 'Age unknown';
+  if (age < bounds[0]) return `Under ${bounds[0]}`;
+  const i = bounds.findIndex((b, n) => age >= b && (n === bounds.length - 1 || age < bounds[n + 1]));
+  return i === bounds.length - 1 ? `${bounds[i]}+` : `${bounds[i]}-${bounds[i + 1] - 1}`;
+}
+
+// Name of the division a ranking row competes in, e.g. 'Female 40-49
+// Advanced', or null when the event has no divisions. Age is taken on the
+// event's start date.
+export function divisionOf(event, row) {
+  const parts = [];
+  if (event.division_by_gender) parts.push(GENDER_LABELS[row.gender] || 'Unknown gender');
+  const bounds = parseAgeBrackets(event.age_brackets);
+  if (bounds.length) parts.push(ageBracketLabel(bounds, row.age));
+  if (event.division_by_category) parts.push(CATEGORY_LABELS[row.category] || 'Unknown category');
+  return parts.length ? parts.join(' ') : null;
+}
+
+// Adds division and division_rank (the place within the division) to an
+// ordered ranking
+export function assignDivisions(event, ranking) {
+  const places = {};
+  return ranking.map(r => {
+    const division = divisionOf(event, r);
+    if (!division) return { ...r, division: null, division_rank: null };
+    places[division] = (places[division] || 0) + 1;
+    return { ...r, division, division_rank: places[division] };
+  });
+}
+
+// Per-division standings with the top three as the podium, in the order each
+// division's leader appears in the overall ranking
+export function groupDivisions(ranking) {
+  const divisions = new Map();
+  for (const r of ranking) {
+    if (!r.division) continue;
+    if (!divisions.has(r.division)) divisions.set(r.division, { name: r.division, ranking: [] });
+    divisions.get(r.division).ranking.push(r);
+  }
+  return [...divisions.values()].map(d => ({
+    ...d,
+    participant_count: d.ranking.length,
+    podium: d.ranking.filter(r => r.division_rank <= 3)
+  }));
+}
+
+// Team standings from an individual ranking (as returned by fetchEventRanking),
+// scored by the event's ranking metric like the runners are. sum adds up every
+// member, average divides by the member count, and top_n only adds up the
+// team's best team_top_n members. For avg_pace the team's pace is the counted
+// members' time over their distance, whatever the scoring. score is the
+// metric's value; score_km and score_hours total the counted members.
+export function rankTeams(event, ranking) {
+  const metric = RANKING_METRICS[event.ranking_metric] ? event.ranking_metric : 'total_km';
+  const { higherIsBetter } = RANKING_METRICS[metric];
+  const teams = new Map();
+  for (const r of ranking) {
+    if (!r.team_id) continue;
+    if (!teams.has(r.team_id)) teams.set(r.team_id, { team_id: r.team_id, name: r.team_name, members: [] });
+    teams.get(r.team_id).members.push({ id: r.id, email: r.email, total_km: r.total_km, total_hours: r.total_hours, score: r.score });
+  }
+
+  const scoring = TEAM_SCORING.includes(event.team_scoring) ? event.team_scoring : 'sum';
+  const topN = Number(event.team_top_n) > 0 ? Number(event.team_top_n) : 3;
+  const sum = (list, key) => list.reduce((acc, m) => acc + (Number(m[key]) || 0), 0);
+
+  return [...teams.values()]
+    .map(team => {
+      const best = [...team.members].sort((a, b) => compareValues(a.score, b.score, higherIsBetter));
+      const counted = scoring === 'top_n' ? best.slice(0, topN) : team.members;
+      const divisor = scoring === 'average' ? team.members.length : 1;
+      const countedKm = sum(counted, 'total_km');
+      const score = metric === 'avg_pace'
+        ? (countedKm > 0 ? sum(counted, 'total_hours') / countedKm : null)
+        : sum(counted, 'score') / divisor;
+      return {
+        ...team,
+        member_count: team.members.length,
+        counted_members: counted.length,
+        total_km: sum(team.members, 'total_km'),
+        total_hours: sum(team.members, 'total_hours'),
+        score,
+        score_km: countedKm / divisor,
+        score_hours: sum(counted, 'total_hours') / divisor
+      };
+    })
+    .sort((a, b) => compareValues(a.score, b.score, higherIsBetter)
+      || b.score_km - a.score_km || b.score_hours - a.score_hours || a.name.localeCompare(b.name))
+    .map((team, index) => ({ rank: index + 1, ...team }));
+}
+
+// Standings frozen when the event closed, in the same shape as the live ones.
+// Runners in the trash are left out but the others keep their frozen rank.
+function fetchFrozenStandings(event, cb) {
+  db.all(
+    `SELECT user_id as id, email, (SELECT display_name FROM users WHERE id = event_results.user_id) as display_name,
+            gender, age, category, total_km, total_hours, entry_count, total_days, joined_at,
+            team_id, team_name, avg_pace, goal_pct, score, rank, division, division_rank
+     FROM event_results
+     WHERE event_id = ? AND user_id NOT IN (SELECT id FROM users WHERE deleted_at IS NOT NULL)
+     ORDER BY rank ASC`,
+    [event.id],
+    (err, ranking) => {
+      if (err) return cb(err);
+      db.all(
+        `SELECT rank, team_id, name, member_count, counted_members, total_km, total_hours, score, score_km, score_hours
+         FROM event_team_results
+         WHERE event_id = ?
+         ORDER BY rank ASC`,
+        [event.id],
+        (err, teams) => {
+          if (err) return cb(err);
+          const members = {};
+          for (const r of ranking) {
+            if (!r.team_id) continue;
+            (members[r.team_id] = members[r.team_id] || []).push({ id: r.id, email: r.email, total_km: r.total_km, total_hours: r.total_hours, score: r.score });
+          }
+          cb(null, {
+            ranking,
+            teams: teams.map(t => ({ ...t, members: members[t.team_id] || [] })),
+            divisions: groupDivisions(ranking),
+            frozen: true
+          });
+        }
+      );
+    }
+  );
+}
+
+// Individual, team and division standings for an event: live while it runs,
+// and the snapshot taken at closing once it is closed, so podiums stay fixed
+export function fetchStandings(event, cb) {
+  if (event.status === 'closed') return fetchFrozenStandings(event, cb);
+  fetchEventRanking(event, (err, ranking) => {
+    if (err) return cb(err);
+    cb(null, { ranking, teams: rankTeams(event, ranking), divisions: groupDivisions(ranking), frozen: false });
+  });
+}
+
+// Reads team_scoring/team_top_n from an event create/update body.
+// Missing values come back as null so updates can keep the stored setting.
+export function teamScoringFromBody(body) {
+  const scoring = body.team_scoring === undefined || body.team_scoring === '' ? null : body.team_scoring;
+  if (scoring !== null && !TEAM_SCORING.includes(scoring)) return { error: 'Invalid team scoring' };
+  let topN = null;
+  if (body.team_top_n !== undefined && body.team_top_n !== null && body.team_top_n !== '') {
+    topN = Number(body.team_top_n);
+    if (!Number.isInteger(topN) || topN < 1) return { error: 'Team top N must be a positive whole number' };
+  }
+  return { team_scoring: scoring, team_top_n: topN };
+}
+
+// Reads ranking_metric/ranking_tiebreakers from an event create/update body.
+// Like teamScoringFromBody, missing values come back as null.
+export function rankingRuleFromBody(body) {
+  const metric = body.ranking_metric === undefined || body.ranking_metric === '' ? null : body.ranking_metric;
+  if (metric !== null && !RANKING_METRICS[metric]) return { error: 'Invalid ranking metric' };
+  let tiebreakers = null;
+  if (body.ranking_tiebreakers !== undefined && body.ranking_tiebreakers !== null) {
+    const list = parseTiebreakers(body.ranking_tiebreakers);
+    const invalid = list.find(k => !RANKING_TIEBREAKERS.includes(k));
+    if (invalid) return { error: `Invalid tie-breaker: ${invalid}` };
+    tiebreakers = [...new Set(list)].join(',');
+  }
+  return { ranking_metric: metric, ranking_tiebreakers: tiebreakers };
+}
+
+// Reads division_by_gender/division_by_category/age_brackets from an event
+// create/update body. Like teamScoringFromBody, missing values come back as null.
+export function divisionsFromBody(body) {
+  const flag = value => {
+    if (value === undefined || value === null || value === '') return null;
+    return value === true || value === 1 || value === '1' || value === 'true' ? 1 : 0;
+  };
+  let brackets = null;
+  if (body.age_brackets !== undefined && body.age_brackets !== null) {
+    const bounds = parseAgeBrackets(body.age_brackets);
+    if (bounds.some(b => !Number.isInteger(b) || b < 1 || b > 120)) {
+      return { error: 'Age brackets must be whole numbers of years, e.g. 30,40,50' };
+    }
+    if (bounds.some((b, i) => i > 0 && b <= bounds[i - 1])) return { error: 'Age brackets must be in ascending order' };
+    brackets = bounds.join(',');
+  }
+  return {
+    division_by_gender: flag(body.division_by_gender),
+    division_by_category: flag(body.division_by_category),
+    age_brackets: brackets
+  };
+}
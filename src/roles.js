@@ -0,0 +1,89 @@
+import { getDb } from './db.js';
+
+const db = getDb();
+
+export const ROLES = ['runner', 'moderator', 'organizer', 'admin'];
+
+export const ROLE_DESCRIPTIONS = {
+  runner: 'Logs runs and joins events',
+  moderator: 'Reviews entries and their screenshots',
+  organizer: 'Creates events and manages their participants and entries',
+  admin: 'Manages everything, including users and roles'
+};
+
+// What each role may do, and on what: 'all' records, or only those of events
+// the user created ('own'). Endpoints outside these permissions are admin-only.
+const ROLE_PERMISSIONS = {
+  runner: {},
+  moderator: { 'entries.review': 'all' },
+  organizer: { 'events.manage': 'own', 'entries.manage': 'own', 'entries.review': 'own' },
+  admin: { 'events.manage': 'all', 'entries.manage': 'all', 'entries.review': 'all' }
+};
+
+// 'all', 'own', or null when the role doesn't have the permission
+export function permissionAccess(role, permission) {
+  return (ROLE_PERMISSIONS[role] || {})[permission] || null;
+}
+
+// The permissions of a role, for the client to decide what to show
+export function rolePermissions(role) {
+  return { ...(ROLE_PERMISSIONS[role] || {}) };
+}
+
+// Staff accounts (any role but runner) need a strong password
+export function isStaff(role) {
+  return !!role && role !== 'runner';
+}
+
+export function roleFromBody(body) {
+  return ROLES.includes(body.role) ? body.role : null;
+}
+
+// Calls back with (err, role) for a user's current role; role is null once
+// the user is gone
+export function currentRole(userId, cb) {
+  db.get('SELECT role FROM users WHERE id = ? AND deleted_at IS NULL', [userId], (err, row) => {
+    if (err) return cb(err);
+    cb(null, row ? row.role : null);
+  });
+}
+
+// The creator of the event a record belongs to, by the record's table
+const EVENT_OWNER_SQL = {
+  events: 'SELECT created_by FROM events WHERE id = ?',
+  entries: `SELECT ev.created_by FROM entries e
+            JOIN events ev ON ev.id = e.event_id
+            WHERE e.id = ?`,
+  uploads: `SELECT ev.created_by FROM uploads up
+            JOIN entries e ON e.id = up.entry_id
+            JOIN events ev ON ev.id = e.event_id
+            WHERE up.id = ?`,
+  activity_tracks: `SELECT ev.created_by FROM activity_tracks at
+                    JOIN entries e ON e.id = at.entry_id
+                    JOIN events ev ON ev.id = e.event_id
+                    WHERE at.id = ?`
+};
+
+// Calls back with (err, owned): whether the record with this id belongs to
+// an event the user created
+export function ownsEventRecord(table, id, userId, cb) {
+  db.get(EVENT_OWNER_SQL[table], [id], (err, row) => {
+    if (err) return cb(err);
+    cb(null, !!row && row.created_by === userId);
+  });
+}
+
+// For list endpoints: limits column (an event id) to the events the caller
+// may manage. Pushes nothing for callers with access to all of them.
+export function limitToOwnEvents(req, where, params, column) {
+  if (req.access !== 'own') return;
+  where.push(`${column} IN (SELECT id FROM events WHERE created_by = ?)`);
+  params.push(req.session.userId);
+}
+
+// Whether the caller manages this event: admins manage every event,
+// organizers the ones they created
+export function managesEvent(req, event) {
+  const access = permissionAccess(req.session.role, 'events.manage');
+  return access === 'all' || (access === 'own' && event.created_by === req.session.userId);
+}
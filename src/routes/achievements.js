@@ -0,0 +1,23 @@
+import { Router } from 'express';
+import { requireAuth } from '../middleware.js';
+import {
+  ACHIEVEMENTS, describeAchievement, evaluateUserAchievements, fetchUserAchievements
+} from '../achievements.js';
+
+const router = Router();
+
+// Every badge there is, and the ones the logged-in user has earned (newest
+// first). Milestones are re-checked first so runners whose entries predate
+// the badges see them without having to log a new run.
+router.get('/api/achievements', requireAuth, (req, res) => {
+  evaluateUserAchievements(req.session.userId)
+    .then(() => {
+      fetchUserAchievements(req.session.userId, (err, earned) => {
+        if (err) return res.status(500).json({ error: 'Failed to fetch achievements' });
+        res.json({ achievements: ACHIEVEMENTS.map(describeAchievement), earned });
+      });
+    })
+    .catch(() => res.status(500).json({ error: 'Failed to fetch achievements' }));
+});
+
+export default router;
@@ -0,0 +1,36 @@
+import { Router } from 'express';
+import { requireAuth, requireAdmin } from '../middleware.js';
+import { fetchAuditLog } from '../auditLog.js';
+import { requestTimezone } from '../timezone.js';
+
+const router = Router();
+
+// Every recorded action, newest first. Filters: actor_id, user_id (whose data
+// was changed), target_type, target_id, action, from, to, before, limit.
+// Plain from/to dates are days in the caller's timezone.
+router.get('/api/admin/audit', requireAdmin, (req, res) => {
+  fetchAuditLog(req.query, { tz: requestTimezone(req) }, (err, entries) => {
+    if (err) return res.status(500).json({ error: 'Failed to fetch audit log' });
+    res.json({ entries });
+  });
+});
+
+// Changes made to the caller's own entries, by themselves or an admin
+router.get('/api/entries/history', requireAuth, (req, res) => {
+  const { target_id, action, from, to, before, limit } = req.query;
+  fetchAuditLog(
+    { target_id, action, from, to, before, limit },
+    {
+      extra: [['a.subject_user_id = ?', req.session.userId], ['a.target_type = ?', 'entries']],
+      withIp: false,
+      withEmails: false,
+      tz: requestTimezone(req)
+    },
+    (err, entries) => {
+      if (err) return res.status(500).json({ error: 'Failed to fetch entry history' });
+      res.json({ entries });
+    }
+  );
+});
+
+export default router;
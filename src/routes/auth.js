@@ -1,18 +1,32 @@
 import { Router } from 'express';
 import bcrypt from 'bcrypt';
-import { getDb } from '../db.js';
+import { adminExists, getDb } from '../db.js';
+import { createResetToken, consumeResetToken, resetLink } from '../passwordReset.js';
+import { appUrl, sendMail } from '../mailer.js';
+import { appTimezone, isValidTimezone } from '../timezone.js';
+import { audited, createdId, recordAudit, userSubject } from '../auditLog.js';
+import { clearLoginFailures, describeWait, recordLoginFailure, releaseIpAttempt, reserveIpAttempt, reserveLoginAttempt } from '../loginSecurity.js';
+import { passwordProblem } from '../passwordPolicy.js';
+import { avatarUrl, displayName, profileFromBody } from '../profiles.js';
+import { isStaff, rolePermissions } from '../roles.js';
 
 const router = Router();
 const db = getDb();
 
-router.post('/api/register', (req, res) => {
+router.post('/api/register', audited('user.register', { table: 'users', id: createdId('userId'), subject: userSubject }), (req, res) => {
   const { email, password, gender } = req.body;
   if (!email || !password || !gender) return res.status(400).json({ error: 'Missing fields' });
   if (!['male', 'female'].includes(gender)) return res.status(400).json({ error: 'Invalid gender' });
+  // The 'admin' login belongs to the account created at setup
+  if (String(email).trim().toLowerCase() === 'admin') return res.status(400).json({ error: 'This email is reserved' });
+  // Optional profile fields; the rest can be filled in later
+  const profile = profileFromBody({ display_name: req.body.display_name, birth_date: req.body.birth_date || null });
+  if (profile.error) return res.status(400).json({ error: profile.error });
+  const { display_name: name = null, birth_date: birthDate } = profile.values;
 
   const passwordHash = bcrypt.hashSync(password, 10);
-  const stmt = db.prepare('INSERT INTO users (email, password_hash, gender) VALUES (?, ?, ?)');
-  stmt.run(email, passwordHash, gender, function(err) {
+  const stmt = db.prepare('INSERT INTO users (email, password_hash, gender, birth_date, display_name) VALUES (?, ?, ?, ?, ?)');
+  stmt.run(email, passwordHash, gender, birthDate, name, function(err) {
     if (err) {
       return res.status(400).json({ error: 'Email already registered' });
     }
@@ -21,17 +35,86 @@ router.post('/api/register', (req, res) => {
   });
 });
 
+function refuseLogin(res, status, error, retryAfter) {
+  if (retryAfter) res.set('Retry-After', String(retryAfter));
+  res.status(status).json({ error });
+}
+
+function lockedMessage(seconds) {
+  return `Too many failed logins. This account is locked for ${describeWait(seconds)}.`;
+}
+
+// Failed logins are limited per address and lock the account after repeated
+// bad passwords (see loginSecurity.js). Every failure is logged as user.login_failed.
 router.post('/api/login', (req, res) => {
   const { email, password } = req.body;
   if (!email || !password) return res.status(400).json({ error: 'Missing fields' });
 
-  db.get('SELECT id, password_hash, is_admin FROM users WHERE email = ?', [email], (err, row) => {
-    if (err || !row) return res.status(401).json({ error: 'Invalid credentials' });
-    const ok = bcrypt.compareSync(password, row.password_hash);
-    if (!ok) return res.status(401).json({ error: 'Invalid credentials' });
-    req.session.userId = row.id;
-    req.session.isAdmin = !!row.is_admin;
-    return res.json({ ok: true });
+  reserveIpAttempt(req.ip, (ipErr, ipWait) => {
+    if (ipErr) return res.status(500).json({ error: 'Login failed' });
+    if (ipWait) {
+      recordLoginFailure(req, { email, reason: 'ip_limited' });
+      return refuseLogin(res, 429, `Too many failed logins from your address. Try again in ${describeWait(ipWait)}.`, ipWait);
+    }
+    reserveLoginAttempt(email, (err, account, attempt) => {
+      if (err) return res.status(500).json({ error: 'Login failed' });
+      if (!account) {
+        recordLoginFailure(req, { email, reason: 'unknown_account' });
+        return refuseLogin(res, 401, 'Invalid credentials');
+      }
+      // A locked account doesn't check passwords at all, so guessing gets nowhere
+      if (attempt.lockSeconds) {
+        recordLoginFailure(req, { email, account, reason: 'account_locked' });
+        return refuseLogin(res, 429, lockedMessage(attempt.lockSeconds), attempt.lockSeconds);
+      }
+      if (!bcrypt.compareSync(password, account.password_hash)) {
+        recordLoginFailure(req, { email, account, reason: 'bad_password', ...attempt });
+        if (attempt.lockMinutes > 0) return refuseLogin(res, 429, lockedMessage(attempt.lockMinutes * 60), attempt.lockMinutes * 60);
+        return refuseLogin(res, 401, 'Invalid credentials');
+      }
+      clearLoginFailures(account.id, (clearErr) => {
+        if (clearErr) return res.status(500).json({ error: 'Login failed' });
+        releaseIpAttempt(req.ip, (releaseErr) => {
+          if (releaseErr) return res.status(500).json({ error: 'Login failed' });
+          req.session.userId = account.id;
+          req.session.role = account.role;
+          req.session.timezone = account.timezone || null;
+          req.session.mustChangePassword = !!account.must_change_password;
+          return res.json({ ok: true, must_change_password: !!account.must_change_password });
+        });
+      });
+    });
+  });
+});
+
+// Whether the app still needs its admin account (no ADMIN_PASSWORD on first run)
+router.get('/api/setup', (req, res) => {
+  adminExists((err, exists) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    res.json({ required: !exists });
+  });
+});
+
+// First-run setup: creates the 'admin' account with the chosen password and signs in
+router.post('/api/setup', audited('user.setup', { table: 'users', id: createdId('userId'), subject: userSubject }), (req, res) => {
+  const { password } = req.body;
+  const problem = passwordProblem(password, 'admin');
+  if (problem) return res.status(400).json({ error: problem });
+  adminExists((err, exists) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    if (exists) return res.status(400).json({ error: 'Setup has already been completed' });
+    db.run(
+      "INSERT INTO users (email, password_hash, role) VALUES (?, ?, 'admin')",
+      ['admin', bcrypt.hashSync(password, 10)],
+      function(insErr) {
+        // Someone else finished setup first
+        if (insErr) return res.status(400).json({ error: 'Setup has already been completed' });
+        req.session.userId = this.lastID;
+        req.session.role = 'admin';
+        req.session.timezone = null;
+        res.json({ ok: true, userId: this.lastID });
+      }
+    );
   });
 });
 
@@ -44,9 +127,110 @@ router.post('/api/logout', (req, res) => {
 
 router.get('/api/me', (req, res) => {
   if (!req.session.userId) return res.json({ user: null });
-  db.get('SELECT id, email, is_admin, gender FROM users WHERE id = ?', [req.session.userId], (err, row) => {
+  db.get('SELECT id, email, role, gender, birth_date, display_name, bio, avatar_filename, privacy, timezone, must_change_password FROM users WHERE id = ? AND deleted_at IS NULL', [req.session.userId], (err, row) => {
     if (err || !row) return res.json({ user: null });
-    res.json({ user: { id: row.id, email: row.email, is_admin: !!row.is_admin, gender: row.gender } });
+    // Also catches sessions that started before the account was flagged or its role changed
+    req.session.mustChangePassword = !!row.must_change_password;
+    req.session.role = row.role;
+    res.json({
+      user: {
+        id: row.id,
+        email: row.email,
+        role: row.role,
+        permissions: rolePermissions(row.role),
+        gender: row.gender,
+        birth_date: row.birth_date,
+        // What other runners see (see profiles.js)
+        display_name: displayName(row),
+        own_display_name: row.display_name,
+        bio: row.bio,
+        avatar_url: avatarUrl(row),
+        privacy: row.privacy,
+        // Everything but the password change is refused until this is cleared
+        must_change_password: !!row.must_change_password,
+        // The zone dates are shown in: the user's own choice, else the app's
+        timezone: row.timezone || appTimezone(),
+        own_timezone: row.timezone || null,
+        app_timezone: appTimezone()
+      }
+    });
+  });
+});
+
+// Set the user's own timezone (IANA name), or null to follow the app timezone
+router.put('/api/me/timezone', audited('user.timezone', { table: 'users', id: req => req.session.userId, subject: userSubject }), (req, res) => {
+  if (!req.session.userId) return res.status(401).json({ error: 'Unauthorized' });
+  const timezone = req.body.timezone || null;
+  if (timezone !== null && !isValidTimezone(timezone)) return res.status(400).json({ error: 'Unknown timezone' });
+
+  db.run('UPDATE users SET timezone = ? WHERE id = ? AND deleted_at IS NULL', [timezone, req.session.userId], function(err) {
+    if (err) return res.status(500).json({ error: 'Failed to update timezone' });
+    if (this.changes === 0) return res.status(404).json({ error: 'User not found' });
+    req.session.timezone = timezone;
+    res.json({ ok: true, timezone: timezone || appTimezone() });
+  });
+});
+
+router.post('/api/change-password', (req, res) => {
+  if (!req.session.userId) return res.status(401).json({ error: 'Unauthorized' });
+  const { current_password, new_password } = req.body;
+  if (!current_password || !new_password) return res.status(400).json({ error: 'Missing fields' });
+
+  db.get('SELECT email, password_hash, role, must_change_password FROM users WHERE id = ? AND deleted_at IS NULL', [req.session.userId], (err, row) => {
+    if (err || !row) return res.status(404).json({ error: 'User not found' });
+    if (!bcrypt.compareSync(current_password, row.password_hash)) {
+      return res.status(400).json({ error: 'Current password is incorrect' });
+    }
+    if (current_password === new_password) return res.status(400).json({ error: 'Choose a password different from the current one' });
+    // Staff accounts need a strong password
+    const problem = isStaff(row.role) || row.must_change_password ? passwordProblem(new_password, row.email) : null;
+    if (problem) return res.status(400).json({ error: problem });
+    const passwordHash = bcrypt.hashSync(new_password, 10);
+    db.run('UPDATE users SET password_hash = ?, must_change_password = 0 WHERE id = ?', [passwordHash, req.session.userId], (updErr) => {
+      if (updErr) return res.status(500).json({ error: 'Failed to change password' });
+      req.session.mustChangePassword = false;
+      recordAudit(req, { action: 'user.password_change', targetType: 'users', targetId: req.session.userId, subjectUserId: req.session.userId });
+      res.json({ ok: true });
+    });
+  });
+});
+
+// Always answers ok so the form cannot be used to probe which accounts exist
+router.post('/api/forgot-password', (req, res) => {
+  const { email } = req.body;
+  if (!email) return res.status(400).json({ error: 'Missing fields' });
+  // Without APP_URL there is no trustworthy address to put in the mail
+  if (!appUrl()) return res.status(503).json({ error: 'Password reset by mail is not set up; ask an admin for a reset link' });
+
+  db.get('SELECT id, email FROM users WHERE email = ? AND deleted_at IS NULL', [email], (err, user) => {
+    if (err || !user || !user.email.includes('@')) return res.json({ ok: true });
+    createResetToken(user.id, null, (tokenErr, reset) => {
+      if (tokenErr) return res.json({ ok: true });
+      recordAudit(req, { action: 'user.reset_requested', targetType: 'users', targetId: user.id, subjectUserId: user.id });
+      sendMail({
+        to: user.email,
+        subject: 'Reset your LSR Tracker password',
+        text: `Use this link to choose a new password. It expires in ${reset.expiresInMinutes} minutes and works once.\n\n${resetLink(reset.token)}`
+      })
+        .catch(mailErr => {
+          // eslint-disable-next-line no-console
+          console.error('Failed to send reset mail:', mailErr.message);
+        })
+        .then(() => res.json({ ok: true }));
+    });
+  });
+});
+
+router.post('/api/reset-password', (req, res) => {
+  const { token, password } = req.body;
+  if (!token || !password) return res.status(400).json({ error: 'Missing fields' });
+
+  consumeResetToken(token, password, (err, userId, problem) => {
+    if (err) return res.status(500).json({ error: 'Failed to reset password' });
+    if (problem) return res.status(400).json({ error: problem });
+    if (!userId) return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    recordAudit(req, { action: 'user.password_reset', targetType: 'users', targetId: userId, subjectUserId: userId });
+    res.json({ ok: true });
   });
 });
 
@@ -0,0 +1,339 @@
+import { Router } from 'express';
+import { getDb } from '../db.js';
+import { requireAuth, requireAdmin, requirePermission } from '../middleware.js';
+import { fetchStandings } from '../rankings.js';
+import { displayName } from '../profiles.js';
+import { appUrl } from '../mailer.js';
+import { createTableWriter, EXPORT_FORMATS } from '../tableExport.js';
+import { currentMonth, localDateTime, monthBounds, parseUtc, requestTimezone, startOfDayUtc } from '../timezone.js';
+
+const router = Router();
+const db = getDb();
+
+// from/to are YYYY-MM and inclusive; both default to the current month in the caller's timezone
+function monthRange(req) {
+  const { from, to } = req.query;
+  const fromMonth = from || to || currentMonth(requestTimezone(req));
+  const toMonth = to || fromMonth;
+  const valid = month => /^\d{4}-(0[1-9]|1[0-2])$/.test(month);
+  if (!valid(fromMonth) || !valid(toMonth) || fromMonth > toMonth) return null;
+  return {
+    start: monthBounds(fromMonth).start,
+    end: monthBounds(toMonth).end,
+    label: fromMonth === toMonth ? fromMonth : `${fromMonth}_to_${toMonth}`
+  };
+}
+
+function exportFormat(req) {
+  const format = (req.query.format || 'csv').toLowerCase();
+  return EXPORT_FORMATS.includes(format) ? format : null;
+}
+
+// Links in exports start with APP_URL, never the request's Host header;
+// without APP_URL they are paths on the app
+function linkBase() {
+  return appUrl() || '';
+}
+
+function round2(n) {
+  return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function formatDuration(hoursDec) {
+  const totalSeconds = Math.max(0, Math.round((Number(hoursDec) || 0) * 3600));
+  const hh = String(Math.floor(totalSeconds / 3600)).padStart(2, '0');
+  const mm = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0');
+  const ss = String(totalSeconds % 60).padStart(2, '0');
+  return `${hh}:${mm}:${ss}`;
+}
+
+function formatPace(hoursPerKm) {
+  if (hoursPerKm == null || !isFinite(hoursPerKm) || hoursPerKm <= 0) return '';
+  const totalSeconds = Math.round(hoursPerKm * 3600);
+  return `${String(Math.floor(totalSeconds / 60)).padStart(2, '0')}:${String(totalSeconds % 60).padStart(2, '0')}`;
+}
+
+// Writes the rows as fast as the client takes them, waiting whenever the
+// response is backed up. Any failure aborts the download, so a truncated file
+// never looks like a complete one.
+function exportRows(res, writer, rows, mapRow) {
+  let i = 0;
+  const next = () => {
+    try {
+      while (i < rows.length) {
+        writer.write(mapRow(rows[i++]));
+        if (res.writableNeedDrain) return res.once('drain', next);
+      }
+    } catch (err) {
+      return writer.abort();
+    }
+    writer.end();
+  };
+  next();
+}
+
+// Exports every row of a query. The rows are read in one go rather than
+// streamed from the database, so a slow download doesn't keep writers waiting.
+function exportQuery(res, writer, sql, params, mapRow) {
+  db.all(sql, params, (err, rows) => {
+    if (err) return writer.abort();
+    exportRows(res, writer, rows, mapRow);
+  });
+}
+
+const entryColumns = [
+  { key: 'entry_id', header: 'Entry ID', width: 10 },
+  { key: 'date', header: 'Date', width: 12 },
+  { key: 'email', header: 'Email', width: 28 },
+  { key: 'event', header: 'Event', width: 24 },
+  { key: 'km', header: 'Distance (km)', width: 14 },
+  { key: 'time', header: 'Time (HH:MM:SS)', width: 16 },
+  { key: 'pace', header: 'Pace (min/km)', width: 14 },
+  { key: 'status', header: 'Status', width: 10 },
+  { key: 'rejection_reason', header: 'Rejection reason', width: 28 },
+  { key: 'screenshot_url', header: 'Screenshots', width: 48 },
+  { key: 'activity_url', header: 'Activity file', width: 48 }
+];
+
+function entryRow(row, urlBase, uploadPath) {
+  return {
+    entry_id: row.id,
+    date: row.date,
+    email: row.email,
+    event: row.event_name || '',
+    km: round2(row.km),
+    time: formatDuration(row.hours),
+    pace: formatPace(row.pace != null ? row.pace : (row.km > 0 && row.hours > 0 ? row.hours / row.km : null)),
+    status: row.status,
+    rejection_reason: row.rejection_reason || '',
+    // One link per line when the entry has several attachments
+    screenshot_url: String(row.upload_ids || '').split(',').filter(Boolean)
+      .map(id => `${urlBase}${uploadPath}/${id}/file`).join('\n'),
+    activity_url: row.activity_id ? `${urlBase}/api/admin/activities/${row.activity_id}/file` : ''
+  };
+}
+
+// A user's own entry history
+router.get('/api/entries/export', requireAuth, (req, res) => {
+  const format = exportFormat(req);
+  if (!format) return res.status(400).json({ error: 'Invalid format' });
+  const range = monthRange(req);
+  if (!range) return res.status(400).json({ error: 'Invalid month range' });
+
+  const columns = entryColumns.filter(c => !['email', 'activity_url'].includes(c.key));
+  const writer = createTableWriter(res, format, `my-entries-${range.label}`, columns);
+  exportQuery(
+    res,
+    writer,
+    `SELECT e.id, e.entry_date as date, e.km_run as km, e.hours, e.pace, e.status, e.rejection_reason,
+            ev.name as event_name,
+            (SELECT GROUP_CONCAT(id) FROM (SELECT id FROM uploads WHERE entry_id = e.id ORDER BY id)) as upload_ids
+     FROM entries e
+     LEFT JOIN events ev ON ev.id = e.event_id AND ev.deleted_at IS NULL
+     WHERE e.user_id = ? AND e.entry_date >= ? AND e.entry_date < ? AND e.deleted_at IS NULL
+     ORDER BY e.entry_date ASC, e.id ASC`,
+    [req.session.userId, range.start, range.end],
+    row => entryRow(row, linkBase(), '/api/uploads')
+  );
+});
+
+router.get('/api/admin/export/entries', requireAdmin, (req, res) => {
+  const format = exportFormat(req);
+  if (!format) return res.status(400).json({ error: 'Invalid format' });
+  const range = monthRange(req);
+  if (!range) return res.status(400).json({ error: 'Invalid month range' });
+
+  const params = [range.start, range.end];
+  let where = 'e.entry_date >= ? AND e.entry_date < ? AND e.deleted_at IS NULL AND u.deleted_at IS NULL';
+  if (req.query.user_id) {
+    where += ' AND e.user_id = ?';
+    params.push(Number(req.query.user_id));
+  }
+  if (req.query.status) {
+    where += ' AND e.status = ?';
+    params.push(req.query.status);
+  }
+
+  const writer = createTableWriter(res, format, `entries-${range.label}`, entryColumns);
+  exportQuery(
+    res,
+    writer,
+    `SELECT e.id, e.entry_date as date, u.email, e.km_run as km, e.hours, e.pace, e.status, e.rejection_reason,
+            ev.name as event_name,
+            (SELECT GROUP_CONCAT(id) FROM (SELECT id FROM uploads WHERE entry_id = e.id ORDER BY id)) as upload_ids,
+            at.id as activity_id
+     FROM entries e
+     JOIN users u ON u.id = e.user_id
+     LEFT JOIN events ev ON ev.id = e.event_id AND ev.deleted_at IS NULL
+     LEFT JOIN activity_tracks at ON at.entry_id = e.id
+     WHERE ${where}
+     ORDER BY e.entry_date ASC, u.email ASC, e.id ASC`,
+    params,
+    row => entryRow(row, linkBase(), '/api/admin/uploads')
+  );
+});
+
+// Per-user totals over a month range (approved entries only, as in the top 10)
+router.get('/api/admin/export/totals', requireAdmin, (req, res) => {
+  const format = exportFormat(req);
+  if (!format) return res.status(400).json({ error: 'Invalid format' });
+  const range = monthRange(req);
+  if (!range) return res.status(400).json({ error: 'Invalid month range' });
+
+  const params = [range.start, range.end];
+  let where = "e.entry_date >= ? AND e.entry_date < ? AND e.status = 'approved' AND e.deleted_at IS NULL AND u.deleted_at IS NULL";
+  if (req.query.user_id) {
+    where += ' AND e.user_id = ?';
+    params.push(Number(req.query.user_id));
+  }
+
+  let rank = 0;
+  const writer = createTableWriter(res, format, `totals-${range.label}`, [
+    { key: 'rank', header: 'Rank', width: 8 },
+    { key: 'email', header: 'Email', width: 28 },
+    { key: 'total_km', header: 'Total km', width: 12 },
+    { key: 'total_time', header: 'Total time', width: 14 },
+    { key: 'entry_count', header: 'Entries', width: 10 },
+    { key: 'active_days', header: 'Active days', width: 12 }
+  ]);
+  exportQuery(
+    res,
+    writer,
+    `SELECT u.email, SUM(e.km_run) as total_km, SUM(e.hours) as total_hours,
+            COUNT(e.id) as entry_count, COUNT(DISTINCT e.entry_date) as active_days
+     FROM entries e JOIN users u ON u.id = e.user_id
+     WHERE ${where}
+     GROUP BY e.user_id
+     ORDER BY total_km DESC, u.email ASC`,
+    params,
+    row => ({
+      rank: ++rank,
+      email: row.email,
+      total_km: round2(row.total_km),
+      total_time: formatDuration(row.total_hours),
+      entry_count: row.entry_count,
+      active_days: row.active_days
+    })
+  );
+});
+
+router.get('/api/admin/export/uploads', requireAdmin, (req, res) => {
+  const format = exportFormat(req);
+  if (!format) return res.status(400).json({ error: 'Invalid format' });
+  const range = monthRange(req);
+  if (!range) return res.status(400).json({ error: 'Invalid month range' });
+
+  // Upload times are UTC; the months are counted in the caller's timezone
+  const tz = requestTimezone(req);
+  const params = [startOfDayUtc(range.start, tz), startOfDayUtc(range.end, tz)];
+  let where = 'up.created_at >= ? AND up.created_at < ? AND u.deleted_at IS NULL AND (up.entry_id IS NULL OR e.deleted_at IS NULL)';
+  if (req.query.user_id) {
+    where += ' AND up.user_id = ?';
+    params.push(Number(req.query.user_id));
+  }
+
+  const urlBase = linkBase();
+  const writer = createTableWriter(res, format, `uploads-${range.label}`, [
+    { key: 'upload_id', header: 'Upload ID', width: 10 },
+    { key: 'created_at', header: `Uploaded at (${tz})`, width: 24 },
+    { key: 'email', header: 'Email', width: 28 },
+    { key: 'entry_id', header: 'Entry ID', width: 10 },
+    { key: 'entry_date', header: 'Entry date', width: 12 },
+    { key: 'originalname', header: 'File name', width: 28 },
+    { key: 'size', header: 'Size (bytes)', width: 12 },
+    { key: 'url', header: 'Link', width: 48 }
+  ]);
+  exportQuery(
+    res,
+    writer,
+    `SELECT up.id, up.created_at, u.email, up.entry_id, e.entry_date, up.originalname, up.size
+     FROM uploads up
+     JOIN users u ON u.id = up.user_id
+     LEFT JOIN entries e ON e.id = up.entry_id
+     WHERE ${where}
+     ORDER BY up.created_at ASC`,
+    params,
+    row => ({
+      upload_id: row.id,
+      created_at: row.created_at ? localDateTime(parseUtc(row.created_at), tz) : null,
+      email: row.email,
+      entry_id: row.entry_id,
+      entry_date: row.entry_date,
+      originalname: row.originalname,
+      size: row.size,
+      url: `${urlBase}/api/admin/uploads/${row.id}/file`
+    })
+  );
+});
+
+// Standings of a single event (frozen once it has closed), with links to each participant's screenshots
+router.get('/api/admin/export/events/:id/ranking', requirePermission('events.manage', { owner: 'events' }), (req, res) => {
+  const eventId = Number(req.params.id);
+  if (!Number.isInteger(eventId) || eventId <= 0) return res.status(400).json({ error: 'Invalid event ID' });
+  const format = exportFormat(req);
+  if (!format) return res.status(400).json({ error: 'Invalid format' });
+
+  db.get('SELECT * FROM events WHERE id = ? AND deleted_at IS NULL', [eventId], (err, event) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    if (!event) return res.status(404).json({ error: 'Event not found' });
+
+    fetchStandings(event, (rankErr, standings) => {
+      if (rankErr) return res.status(500).json({ error: 'Failed to fetch ranking' });
+      const { ranking } = standings;
+
+      db.all(
+        `SELECT e.user_id, up.id as upload_id
+         FROM entries e
+         JOIN uploads up ON up.entry_id = e.id
+         WHERE e.event_id = ? AND e.entry_date >= ? AND e.entry_date <= ? AND e.status = 'approved'
+           AND e.deleted_at IS NULL
+         ORDER BY e.entry_date ASC`,
+        [event.id, event.start_date, event.end_date],
+        (upErr, uploads) => {
+          if (upErr) return res.status(500).json({ error: 'Failed to fetch screenshots' });
+          const urlBase = linkBase();
+          const linksByUser = {};
+          for (const up of uploads) {
+            (linksByUser[up.user_id] = linksByUser[up.user_id] || []).push(`${urlBase}/api/admin/uploads/${up.upload_id}/file`);
+          }
+
+          const safeName = event.name.replace(/[^\w-]+/g, '-').toLowerCase();
+          const writer = createTableWriter(res, format, `event-${event.id}-${safeName}-ranking`, [
+            { key: 'rank', header: 'Rank', width: 8 },
+            { key: 'email', header: 'Email', width: 28 },
+            { key: 'name', header: 'Display name', width: 24 },
+            { key: 'team', header: 'Team', width: 20 },
+            { key: 'division', header: 'Division', width: 24 },
+            { key: 'division_rank', header: 'Division rank', width: 12 },
+            { key: 'total_km', header: 'Total km', width: 12 },
+            { key: 'total_time', header: 'Total time', width: 14 },
+            { key: 'avg_pace', header: 'Avg pace (min/km)', width: 16 },
+            { key: 'entry_count', header: 'Entries', width: 10 },
+            { key: 'active_days', header: 'Active days', width: 12 },
+            { key: 'goal_pct', header: '% of goal', width: 10 },
+            { key: 'goal_reached', header: 'Goal reached', width: 12 },
+            { key: 'screenshots', header: 'Screenshots', width: 60 }
+          ]);
+          exportRows(res, writer, ranking, r => ({
+            rank: r.rank,
+            email: r.email,
+            name: displayName(r),
+            team: r.team_name || '',
+            division: r.division || '',
+            division_rank: r.division_rank || '',
+            total_km: round2(r.total_km),
+            total_time: formatDuration(r.total_hours),
+            avg_pace: formatPace(r.avg_pace),
+            entry_count: r.entry_count,
+            active_days: r.total_days,
+            goal_pct: event.km_goal > 0 ? round2(r.total_km / event.km_goal * 100) : '',
+            goal_reached: event.km_goal > 0 && r.total_km >= event.km_goal ? 'yes' : 'no',
+            screenshots: (linksByUser[r.id] || []).join('\n')
+          }));
+        }
+      );
+    });
+  });
+});
+
+export default router;
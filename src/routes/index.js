@@ -3,7 +3,37 @@ import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
-import { getDb } from '../db.js';
+import { getDb, transaction } from '../db.js';
+import { requireAuth, requireAdmin, requirePermission } from '../middleware.js';
+import { detectActivityFormat, parseActivityFile } from '../activityFiles.js';
+import { createResetToken, resetLink } from '../passwordReset.js';
+import {
+  fetchStandings,
+  teamScoringFromBody,
+  rankingRuleFromBody,
+  divisionsFromBody,
+  parseTiebreakers,
+  parseAgeBrackets
+} from '../rankings.js';
+import { validateImport, commitImport } from '../entryImport.js';
+import { closeEvent, lifecycleStatus, runLifecycle } from '../eventLifecycle.js';
+import {
+  PARTICIPANT_COUNT_SQL,
+  WAITLIST_COUNT_SQL,
+  canLeave,
+  promoteWaitlist,
+  registrationFromBody,
+  registrationProblem
+} from '../eventRegistration.js';
+import { attachBadges, refreshAchievements } from '../achievements.js';
+import { MAX_ATTACHMENTS, withAttachments } from '../attachments.js';
+import { avatarUrl, displayName, eventViewer, presentRunners, presentStandings } from '../profiles.js';
+import { emitWebhook } from '../webhooks.js';
+import { audited, createdId, recordAudit, userSubject } from '../auditLog.js';
+import { flagsColumn, hasErrors, isRealDate, readFlags, validateEntry, validationError } from '../entryValidation.js';
+import { containsPattern, fetchPage, pageParams, sortClause } from '../listQuery.js';
+import { ROLES, limitToOwnEvents, managesEvent } from '../roles.js';
+import { addDays, currentMonth, monthBounds, requestTimezone, startOfDayUtc, todayIn } from '../timezone.js';
 
 const router = Router();
 const db = getDb();
@@ -22,81 +52,206 @@ const storage = multer.diskStorage({
   }
 });
 const upload = multer({ storage });
-
-function requireAuth(req, res, next) {
-  if (!req.session.userId) return res.status(401).json({ error: 'Unauthorized' });
-  next();
-}
-
-function requireAdmin(req, res, next) {
-  if (!req.session.userId || !req.session.isAdmin) return res.status(403).json({ error: 'Forbidden' });
-  next();
-}
+const csvUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 2 * 1024 * 1024 } });
 
 router.get('/api/entries', requireAuth, (req, res) => {
   const { month } = req.query; // format YYYY-MM
-  let start, end;
-  
-  if (month && /^\d{4}-\d{2}$/.test(month)) {
-    start = month + '-01';
-    // Compute end as next month
-    const [y, m] = month.split('-').map(Number);
-    const next = new Date(y, m, 1); // m is 1-based here due to Date usage below
-    const nextY = next.getFullYear();
-    const nextM = String(next.getMonth() + 1).padStart(2, '0');
-    end = `${nextY}-${nextM}-01`;
-  } else {
-    // default: current month
-    const now = new Date();
-    const y = now.getFullYear();
-    const m = String(now.getMonth() + 1).padStart(2, '0');
-    start = `${y}-${m}-01`;
-    const next = new Date(y, now.getMonth() + 1, 1);
-    const nextY = next.getFullYear();
-    const nextM = String(next.getMonth() + 1).padStart(2, '0');
-    end = `${nextY}-${nextM}-01`;
-  }
+  const { start, end } = monthBounds(requestMonth(req, month));
   
   db.all(
-    `SELECT e.id, e.entry_date as date, e.km_run as km, e.hours, e.pace, 
-            u.id as upload_id, u.filename, u.originalname, u.mimetype
+    `SELECT e.id, e.entry_date as date, e.km_run as km, e.hours, e.pace, e.status, e.rejection_reason, e.source,
+            e.event_id, ev.name as event_name,
+            at.id as activity_id, at.format as activity_format
      FROM entries e 
-     LEFT JOIN uploads u ON u.entry_id = e.id 
-     WHERE e.user_id = ? AND e.entry_date >= ? AND e.entry_date < ?
+     LEFT JOIN activity_tracks at ON at.entry_id = e.id
+     LEFT JOIN events ev ON ev.id = e.event_id AND ev.deleted_at IS NULL
+     WHERE e.user_id = ? AND e.entry_date >= ? AND e.entry_date < ? AND e.deleted_at IS NULL
      ORDER BY e.entry_date DESC`,
     [req.session.userId, start, end],
     (err, rows) => {
       if (err) return res.status(500).json({ error: 'Failed to fetch' });
-      res.json({ entries: rows || [], month: start.slice(0,7) });
+      withAttachments(rows || [], (attachErr, entries) => {
+        if (attachErr) return res.status(500).json({ error: 'Failed to fetch' });
+        res.json({ entries, month: start.slice(0,7) });
+      });
     }
   );
 });
 
-const entryUpload = upload.single('file');
-router.post('/api/entries', requireAuth, entryUpload, (req, res) => {
-  const { date, km, hours, pace } = req.body;
-  if (!date) return res.status(400).json({ error: 'Missing date' });
-  if (!req.file) return res.status(400).json({ error: 'Screenshot file is required' });
-  const kmNum = Number(km) || 0;
-  const hoursNum = Number(hours) || 0;
-  const paceNum = pace === null || pace === undefined || pace === '' ? null : Number(pace);
+// Entries accept screenshots (`file`, up to MAX_ATTACHMENTS), an activity export (`activity`), or both
+const entryUpload = upload.fields([{ name: 'file', maxCount: MAX_ATTACHMENTS }, { name: 'activity', maxCount: 1 }]);
 
-  const stmt = db.prepare(
-    'INSERT INTO entries (user_id, entry_date, km_run, hours, pace) VALUES (?, ?, ?, ?, ?)'
+function removeUploadedFile(file) {
+  if (file) fs.unlink(path.join(uploadDir, file.filename), () => {});
+}
+
+// ?month=YYYY-MM, defaulting to the current month in the caller's timezone
+function requestMonth(req, month) {
+  return month && /^\d{4}-(0[1-9]|1[0-2])$/.test(month) ? month : currentMonth(requestTimezone(req));
+}
+
+// Resolves with the parsed activity (or null when none was uploaded).
+// Its date is the day the activity started in the runner's timezone.
+function readActivityUpload(file, tz) {
+  if (!file) return Promise.resolve(null);
+  const format = detectActivityFormat(file.originalname);
+  if (!format) return Promise.reject(new Error('Activity file must be GPX, TCX or FIT'));
+  return parseActivityFile(path.join(uploadDir, file.filename), format, tz);
+}
+
+// Form values, overridden by whatever the activity file reports.
+// validateEntry turns them into numbers.
+function entryValues(body, activity) {
+  const { date, km, hours, pace } = body;
+  const values = { date, km, hours, pace };
+  if (activity) {
+    if (activity.date) values.date = activity.date;
+    values.km = activity.km;
+    if (activity.hours > 0) values.hours = activity.hours;
+    values.pace = activity.pace;
+  }
+  return values;
+}
+
+// Entries linked to an event must stay inside the period in which they count for it.
+// Calls back with a message for the runner, or null when the date is fine.
+function eventDateError(eventId, userId, date, cb) {
+  if (!eventId || !date) return cb(null, null);
+  db.get(
+    `SELECT ev.start_date, ev.end_date, ev.count_entries_from, ep.joined_on
+     FROM events ev
+     LEFT JOIN event_participants ep ON ep.event_id = ev.id AND ep.user_id = ?
+     WHERE ev.id = ? AND ev.deleted_at IS NULL`,
+    [userId, eventId],
+    (err, row) => {
+      if (err) return cb(err);
+      // The event is gone (or in the trash), so the entry no longer counts anywhere
+      if (!row) return cb(null, null);
+      if (date < row.start_date || date > row.end_date) return cb(null, 'Entry date must be within event period');
+      if (row.count_entries_from === 'joined_at' && row.joined_on && date < row.joined_on) {
+        return cb(null, 'Only entries from the day you joined count for this event');
+      }
+      cb(null, null);
+    }
   );
-  stmt.run(req.session.userId, date, kmNum, hoursNum, paceNum, function(err) {
-    if (err) return res.status(500).json({ error: 'Failed to save entry' });
-    const entryId = this.lastID;
-    const { filename, originalname, mimetype, size } = req.file;
-    const upStmt = db.prepare('INSERT INTO uploads (user_id, entry_id, filename, originalname, mimetype, size) VALUES (?, ?, ?, ?, ?, ?)');
-    upStmt.run(req.session.userId, entryId, filename, originalname, mimetype, size, function(upErr) {
-      if (upErr) return res.status(500).json({ error: 'Failed to save screenshot' });
-      return res.json({ ok: true, entryId });
-    });
+}
+
+// Records files multer saved as attachments of the entry, one at a time so
+// they keep the order they were sent in. Calls back with (err, uploadIds).
+function insertUploads(userId, entryId, files, cb, ids = []) {
+  if (ids.length >= files.length) return cb(null, ids);
+  const file = files[ids.length];
+  db.run(
+    'INSERT INTO uploads (user_id, entry_id, filename, originalname, mimetype, size) VALUES (?, ?, ?, ?, ?, ?)',
+    [userId, entryId, file.filename, file.originalname, file.mimetype, file.size],
+    function(err) {
+      if (err) return cb(err);
+      insertUploads(userId, entryId, files, cb, [...ids, this.lastID]);
+    }
+  );
+}
+
+// values.eventId links the entry to the event it was submitted for, values.flags
+// holds what validation found suspicious about it. The entry, its screenshots
+// and its activity file are saved together: if any insert fails nothing is
+// saved and the uploaded files are removed, so a retry doesn't leave a duplicate.
+function insertEntryWithFiles(userId, values, screenshots, activityFile, activity, cb) {
+  transaction(async (tx) => {
+    const { lastID: entryId } = await tx.run(
+      'INSERT INTO entries (user_id, entry_date, km_run, hours, pace, event_id, flags) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [userId, values.date, values.km, values.hours, values.pace, values.eventId || null, flagsColumn(values.flags)]
+    );
+    for (const file of screenshots) {
+      await tx.run(
+        'INSERT INTO uploads (user_id, entry_id, filename, originalname, mimetype, size) VALUES (?, ?, ?, ?, ?, ?)',
+        [userId, entryId, file.filename, file.originalname, file.mimetype, file.size]
+      );
+    }
+    if (activityFile) {
+      await tx.run(
+        `INSERT INTO activity_tracks (user_id, entry_id, format, filename, originalname, size, distance_km, moving_hours, avg_pace, start_time, track_points)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [userId, entryId, activity.format, activityFile.filename, activityFile.originalname, activityFile.size,
+          activity.km, activity.hours, activity.pace, activity.startTime, JSON.stringify(activity.points)]
+      );
+    }
+    return entryId;
+  }).then(entryId => cb(null, entryId), () => {
+    removeUploadedFile(activityFile);
+    screenshots.forEach(removeUploadedFile);
+    cb(new Error('Failed to save entry'));
+  });
+}
+
+function activitySummary(activity) {
+  if (!activity) return null;
+  const { format, km, hours, pace, startTime, date } = activity;
+  return { format, km, hours, pace, startTime, date };
+}
+
+// An entry as webhook payloads describe it
+function fetchWebhookEntry(entryId, cb) {
+  db.get(
+    `SELECT e.id, e.user_id, u.email, e.entry_date as date, e.km_run as km, e.hours, e.pace, e.status,
+            e.rejection_reason, e.source, e.event_id, ev.name as event_name, e.created_at
+     FROM entries e
+     JOIN users u ON u.id = e.user_id
+     LEFT JOIN events ev ON ev.id = e.event_id
+     WHERE e.id = ?`,
+    [entryId],
+    cb
+  );
+}
+
+// Sends an entry.* webhook with the entry as it is saved now
+function emitEntryWebhook(event, entryId) {
+  fetchWebhookEntry(entryId, (err, entry) => {
+    if (!err && entry) emitWebhook(event, { entry });
+  });
+}
+
+router.post('/api/entries', requireAuth, audited('entry.create', { table: 'entries', id: createdId('entryId') }), entryUpload, (req, res) => {
+  const screenshots = req.files && req.files.file ? req.files.file : [];
+  const activityFile = req.files && req.files.activity ? req.files.activity[0] : null;
+  if (!screenshots.length && !activityFile) return res.status(400).json({ error: 'Screenshot or activity file is required' });
+
+  readActivityUpload(activityFile, requestTimezone(req)).then(activity => {
+    validateEntry(entryValues(req.body, activity), { userId: req.session.userId }).then(({ values, errors, flags }) => {
+      if (hasErrors(errors)) {
+        removeUploadedFile(activityFile);
+        screenshots.forEach(removeUploadedFile);
+        return res.status(400).json(validationError(errors));
+      }
+
+      insertEntryWithFiles(req.session.userId, { ...values, flags }, screenshots, activityFile, activity, (err, entryId) => {
+        if (err) return res.status(500).json({ error: err.message });
+        refreshAchievements(req.session.userId);
+        emitEntryWebhook('entry.created', entryId);
+        return res.json({ ok: true, entryId, activity: activitySummary(activity), flags });
+      });
+    }).catch(() => res.status(500).json({ error: 'Database error' }));
+  }).catch(err => {
+    removeUploadedFile(activityFile);
+    screenshots.forEach(removeUploadedFile);
+    res.status(400).json({ error: err.message || 'Could not read activity file' });
   });
 });
 
-router.post('/api/uploads', requireAuth, upload.single('file'), (req, res) => {
+// Parse an activity file without saving anything, so the SPA can prefill the entry form
+router.post('/api/activities/parse', requireAuth, upload.single('activity'), (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'No file' });
+  readActivityUpload(req.file, requestTimezone(req)).then(activity => {
+    removeUploadedFile(req.file);
+    res.json({ ok: true, activity: activitySummary(activity) });
+  }).catch(err => {
+    removeUploadedFile(req.file);
+    res.status(400).json({ error: err.message || 'Could not read activity file' });
+  });
+});
+
+// A loose upload, to attach to an entry (upload_ids) within a day; after
+// that the orphan cleanup removes it
+router.post('/api/uploads', requireAuth, audited('upload.create', { table: 'uploads', id: (req, body) => (body && body.file ? body.file.id : null) }), upload.single('file'), (req, res) => {
   if (!req.file) return res.status(400).json({ error: 'No file' });
   const { filename, originalname, mimetype, size } = req.file;
   const stmt = db.prepare(
@@ -109,216 +264,689 @@ router.post('/api/uploads', requireAuth, upload.single('file'), (req, res) => {
 });
 
 // User entry edit and delete endpoints
-router.put('/api/entries/:id', requireAuth, (req, res) => {
+router.put('/api/entries/:id', requireAuth, audited('entry.update', { table: 'entries' }), (req, res) => {
   const entryId = Number(req.params.id);
-  const { date, km, hours, pace } = req.body;
   
   if (!Number.isInteger(entryId) || entryId <= 0) {
     return res.status(400).json({ error: 'Invalid entry ID' });
   }
   
   // Verify the entry belongs to the current user
-  db.get('SELECT id FROM entries WHERE id = ? AND user_id = ?', [entryId, req.session.userId], (err, row) => {
+  const entrySql = `SELECT e.id, e.event_id, ev.status as event_status
+                    FROM entries e
+                    LEFT JOIN events ev ON ev.id = e.event_id
+                    WHERE e.id = ? AND e.user_id = ? AND e.deleted_at IS NULL`;
+  db.get(entrySql, [entryId, req.session.userId], (err, row) => {
     if (err) return res.status(500).json({ error: 'Database error' });
     if (!row) return res.status(404).json({ error: 'Entry not found or not authorized' });
+    if (row.event_status === 'closed') return res.status(400).json({ error: 'Event is closed and its results are final' });
     
-    const kmNum = Number(km) || 0;
-    const hoursNum = Number(hours) || 0;
-    const paceNum = pace === null || pace === undefined || pace === '' ? null : Number(pace);
+    validateEntry(req.body, { userId: req.session.userId, entryId }).then(({ values, errors, flags }) => {
+      if (hasErrors(errors)) return res.status(400).json(validationError(errors));
+      
+      eventDateError(row.event_id, req.session.userId, values.date, (checkErr, dateError) => {
+        if (checkErr) return res.status(500).json({ error: 'Database error' });
+        if (dateError) return res.status(400).json(validationError({ date: dateError }));
+        
+        // Any edit by the runner sends the entry back to the review queue
+        db.run(
+          `UPDATE entries SET entry_date = ?, km_run = ?, hours = ?, pace = ?, flags = ?,
+                  status = 'pending', rejection_reason = NULL, reviewed_by = NULL, reviewed_at = NULL
+           WHERE id = ? AND user_id = ? AND deleted_at IS NULL`,
+          [values.date, values.km, values.hours, values.pace, flagsColumn(flags), entryId, req.session.userId],
+          function(updateErr) {
+            if (updateErr) return res.status(500).json({ error: 'Failed to update entry' });
+            if (this.changes === 0) return res.status(404).json({ error: 'Entry not found' });
+            refreshAchievements(req.session.userId);
+            emitEntryWebhook('entry.updated', entryId);
+            res.json({ ok: true, flags });
+          }
+        );
+      });
+    }).catch(() => res.status(500).json({ error: 'Database error' }));
+  });
+});
+
+router.delete('/api/entries/:id', requireAuth, audited('entry.delete', { table: 'entries' }), (req, res) => {
+  const entryId = Number(req.params.id);
+  
+  if (!Number.isInteger(entryId) || entryId <= 0) {
+    return res.status(400).json({ error: 'Invalid entry ID' });
+  }
+  
+  // Kept for the webhook, which describes the entry as it was
+  fetchWebhookEntry(entryId, (lookupErr, entry) => {
+    if (lookupErr) return res.status(500).json({ error: 'Database error' });
     
+    // Verify the entry belongs to the current user and move it to the trash, unless its event is closed
     db.run(
-      'UPDATE entries SET entry_date = ?, km_run = ?, hours = ?, pace = ? WHERE id = ? AND user_id = ?',
-      [date, kmNum, hoursNum, paceNum, entryId, req.session.userId],
-      function(updateErr) {
-        if (updateErr) return res.status(500).json({ error: 'Failed to update entry' });
-        if (this.changes === 0) return res.status(404).json({ error: 'Entry not found' });
+      `UPDATE entries SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ?
+       WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+         AND NOT EXISTS (SELECT 1 FROM events ev WHERE ev.id = entries.event_id AND ev.status = 'closed')`,
+      [req.session.userId, entryId, req.session.userId],
+      function(err) {
+        if (err) return res.status(500).json({ error: 'Failed to delete entry' });
+        if (this.changes === 0) return res.status(404).json({ error: 'Entry not found or its event is closed' });
+        refreshAchievements(req.session.userId);
+        emitWebhook('entry.deleted', { entry });
         res.json({ ok: true });
       }
     );
   });
 });
 
-router.delete('/api/entries/:id', requireAuth, (req, res) => {
+// Entry edit and delete for staff: admins can edit/delete any user's entries,
+// organizers those in their events
+router.put('/api/admin/entries/:id', requirePermission('entries.manage', { owner: 'entries' }), audited('entry.update', { table: 'entries' }), (req, res) => {
   const entryId = Number(req.params.id);
   
   if (!Number.isInteger(entryId) || entryId <= 0) {
     return res.status(400).json({ error: 'Invalid entry ID' });
   }
   
-  // Verify the entry belongs to the current user and delete it
-  db.run('DELETE FROM entries WHERE id = ? AND user_id = ?', [entryId, req.session.userId], function(err) {
-    if (err) return res.status(500).json({ error: 'Failed to delete entry' });
-    if (this.changes === 0) return res.status(404).json({ error: 'Entry not found' });
-    res.json({ ok: true });
+  // Verify the entry exists
+  db.get('SELECT id, user_id, event_id FROM entries WHERE id = ? AND deleted_at IS NULL', [entryId], (err, row) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    if (!row) return res.status(404).json({ error: 'Entry not found' });
+    
+    // Admins may correct entries of any age
+    validateEntry(req.body, { userId: row.user_id, entryId, enforceWindow: false }).then(({ values, errors, flags }) => {
+      if (hasErrors(errors)) return res.status(400).json(validationError(errors));
+      
+      eventDateError(row.event_id, row.user_id, values.date, (checkErr, dateError) => {
+        if (checkErr) return res.status(500).json({ error: 'Database error' });
+        if (dateError) return res.status(400).json(validationError({ date: dateError }));
+        
+        db.run(
+          'UPDATE entries SET entry_date = ?, km_run = ?, hours = ?, pace = ?, flags = ? WHERE id = ? AND deleted_at IS NULL',
+          [values.date, values.km, values.hours, values.pace, flagsColumn(flags), entryId],
+          function(updateErr) {
+            if (updateErr) return res.status(500).json({ error: 'Failed to update entry' });
+            if (this.changes === 0) return res.status(404).json({ error: 'Entry not found' });
+            refreshAchievements(row.user_id);
+            emitEntryWebhook('entry.updated', entryId);
+            res.json({ ok: true, flags });
+          }
+        );
+      });
+    }).catch(() => res.status(500).json({ error: 'Database error' }));
   });
 });
 
-// Admin entry edit and delete endpoints (can edit/delete any user's entries)
-router.put('/api/admin/entries/:id', requireAdmin, (req, res) => {
+router.delete('/api/admin/entries/:id', requirePermission('entries.manage', { owner: 'entries' }), audited('entry.delete', { table: 'entries' }), (req, res) => {
   const entryId = Number(req.params.id);
-  const { date, km, hours, pace } = req.body;
   
   if (!Number.isInteger(entryId) || entryId <= 0) {
     return res.status(400).json({ error: 'Invalid entry ID' });
   }
   
-  // Verify the entry exists
-  db.get('SELECT id FROM entries WHERE id = ?', [entryId], (err, row) => {
+  // Staff can move any entry they manage to the trash
+  fetchWebhookEntry(entryId, (err, entry) => {
     if (err) return res.status(500).json({ error: 'Database error' });
-    if (!row) return res.status(404).json({ error: 'Entry not found' });
-    
-    const kmNum = Number(km) || 0;
-    const hoursNum = Number(hours) || 0;
-    const paceNum = pace === null || pace === undefined || pace === '' ? null : Number(pace);
-    
+    if (!entry) return res.status(404).json({ error: 'Entry not found' });
     db.run(
-      'UPDATE entries SET entry_date = ?, km_run = ?, hours = ?, pace = ? WHERE id = ?',
-      [date, kmNum, hoursNum, paceNum, entryId],
-      function(updateErr) {
-        if (updateErr) return res.status(500).json({ error: 'Failed to update entry' });
+      'UPDATE entries SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ? WHERE id = ? AND deleted_at IS NULL',
+      [req.session.userId, entryId],
+      function(delErr) {
+        if (delErr) return res.status(500).json({ error: 'Failed to delete entry' });
         if (this.changes === 0) return res.status(404).json({ error: 'Entry not found' });
+        refreshAchievements(entry.user_id);
+        emitWebhook('entry.deleted', { entry });
         res.json({ ok: true });
       }
     );
   });
 });
 
-router.delete('/api/admin/entries/:id', requireAdmin, (req, res) => {
+// Entry attachments: add, replace and remove screenshots. Runners change
+// those of their own entries, which sends the entry back to the review queue
+// like any of their edits; staff change those of the entries they manage
+// without touching the review. Files are removed from disk together with their row.
+const attachmentFiles = upload.array('file', MAX_ATTACHMENTS);
+const attachmentFile = upload.single('file');
+
+// The entry whose attachments change. Staff routes have already checked
+// the caller may manage it. Calls cb(entry) or answers the request itself.
+function loadAttachmentEntry(req, res, asStaff, cb) {
   const entryId = Number(req.params.id);
-  
-  if (!Number.isInteger(entryId) || entryId <= 0) {
-    return res.status(400).json({ error: 'Invalid entry ID' });
-  }
-  
-  // Admin can delete any entry
-  db.run('DELETE FROM entries WHERE id = ?', [entryId], function(err) {
-    if (err) return res.status(500).json({ error: 'Failed to delete entry' });
-    if (this.changes === 0) return res.status(404).json({ error: 'Entry not found' });
-    res.json({ ok: true });
+  if (!Number.isInteger(entryId) || entryId <= 0) return res.status(400).json({ error: 'Invalid entry ID' });
+  db.get(
+    `SELECT e.id, e.user_id, ev.status as event_status,
+            (SELECT COUNT(*) FROM uploads WHERE entry_id = e.id) as attachment_count,
+            (SELECT COUNT(*) FROM activity_tracks WHERE entry_id = e.id) as activity_count
+     FROM entries e
+     LEFT JOIN events ev ON ev.id = e.event_id
+     WHERE e.id = ? AND e.deleted_at IS NULL ${asStaff ? '' : 'AND e.user_id = ?'}`,
+    asStaff ? [entryId] : [entryId, req.session.userId],
+    (err, entry) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      if (!entry) return res.status(404).json({ error: asStaff ? 'Entry not found' : 'Entry not found or not authorized' });
+      if (!asStaff && entry.event_status === 'closed') return res.status(400).json({ error: 'Event is closed and its results are final' });
+      cb(entry);
+    }
+  );
+}
+
+// One of the entry's attachments, by the :uploadId route parameter
+function loadAttachment(req, res, entry, cb) {
+  const uploadId = Number(req.params.uploadId);
+  if (!Number.isInteger(uploadId) || uploadId <= 0) return res.status(400).json({ error: 'Invalid attachment ID' });
+  db.get('SELECT * FROM uploads WHERE id = ? AND entry_id = ?', [uploadId, entry.id], (err, attachment) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    if (!attachment) return res.status(404).json({ error: 'Attachment not found' });
+    cb(attachment);
   });
-});
+}
+
+// upload_ids as a JSON array or a comma-separated form field; null if any is not an id
+function uploadIdsFromBody(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const ids = (Array.isArray(value) ? value : String(value).split(',')).map(Number);
+  return ids.every(id => Number.isInteger(id) && id > 0) ? [...new Set(ids)] : null;
+}
+
+// Links uploads the entry's runner made through POST /api/uploads to the
+// entry. Calls back with (err, problem); problem when one isn't theirs or is
+// already attached.
+function claimUploads(entry, uploadIds, cb) {
+  if (!uploadIds.length) return cb(null, null);
+  const marks = uploadIds.map(() => '?').join(',');
+  db.run(
+    `UPDATE uploads SET entry_id = ?
+     WHERE id IN (${marks}) AND user_id = ? AND entry_id IS NULL
+       AND (SELECT COUNT(*) FROM uploads WHERE id IN (${marks}) AND user_id = ? AND entry_id IS NULL) = ?`,
+    [entry.id, ...uploadIds, entry.user_id, ...uploadIds, entry.user_id, uploadIds.length],
+    function(err) {
+      if (err) return cb(err);
+      cb(null, this.changes === uploadIds.length ? null : 'Upload not found or already attached');
+    }
+  );
+}
+
+// After a change: the entry goes back to review if its runner made it, and
+// the answer lists the attachments as they are now
+function attachmentsChanged(req, res, entry, asStaff, extra = {}) {
+  const respond = () => {
+    refreshAchievements(entry.user_id);
+    emitEntryWebhook('entry.updated', entry.id);
+    withAttachments([{ id: entry.id }], (err, rows) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      res.json({ ok: true, ...extra, attachments: rows[0].attachments });
+    });
+  };
+  if (asStaff) return respond();
+  db.run(
+    `UPDATE entries SET status = 'pending', rejection_reason = NULL, reviewed_by = NULL, reviewed_at = NULL
+     WHERE id = ?`,
+    [entry.id],
+    (err) => {
+      if (err) return res.status(500).json({ error: 'Failed to update entry' });
+      respond();
+    }
+  );
+}
+
+function attachmentAudit(req, action, entry, { before, after }) {
+  recordAudit(req, {
+    action,
+    targetType: 'uploads',
+    targetId: (after || before).id,
+    subjectUserId: entry.user_id,
+    before: before || null,
+    after: after || null
+  });
+}
+
+// Form-data `file` (repeatable) and/or `upload_ids` of the runner's loose uploads
+function addAttachments(asStaff) {
+  return (req, res) => {
+    loadAttachmentEntry(req, res, asStaff, (entry) => {
+      attachmentFiles(req, res, (uploadErr) => {
+        const files = req.files || [];
+        const reject = (status, error) => {
+          files.forEach(removeUploadedFile);
+          res.status(status).json({ error });
+        };
+        if (uploadErr) {
+          return reject(400, uploadErr.code === 'LIMIT_UNEXPECTED_FILE' ? `Attach at most ${MAX_ATTACHMENTS} files at a time` : 'Upload failed');
+        }
+        const uploadIds = uploadIdsFromBody(req.body.upload_ids);
+        if (!uploadIds) return reject(400, 'Invalid upload_ids');
+        if (!files.length && !uploadIds.length) return reject(400, 'No file');
+        if (entry.attachment_count + files.length + uploadIds.length > MAX_ATTACHMENTS) {
+          return reject(400, `An entry can have at most ${MAX_ATTACHMENTS} attachments`);
+        }
+
+        claimUploads(entry, uploadIds, (claimErr, problem) => {
+          if (claimErr) return reject(500, 'Failed to attach uploads');
+          if (problem) return reject(400, problem);
+          insertUploads(entry.user_id, entry.id, files, (insErr, newIds) => {
+            if (insErr) return reject(500, 'Failed to save attachment');
+            const added = [...uploadIds, ...newIds];
+            db.all(`SELECT * FROM uploads WHERE id IN (${added.map(() => '?').join(',')})`, added, (err, rows) => {
+              if (!err) rows.forEach(row => attachmentAudit(req, 'entry.attachment_add', entry, { after: row }));
+              attachmentsChanged(req, res, entry, asStaff, { added });
+            });
+          });
+        });
+      });
+    });
+  };
+}
+
+// Form-data `file` takes the attachment's place; the old file is deleted
+function replaceAttachment(asStaff) {
+  return (req, res) => {
+    loadAttachmentEntry(req, res, asStaff, (entry) => {
+      loadAttachment(req, res, entry, (before) => {
+        attachmentFile(req, res, (uploadErr) => {
+          if (uploadErr || !req.file) {
+            removeUploadedFile(req.file);
+            return res.status(400).json({ error: uploadErr ? 'Upload failed' : 'No file' });
+          }
+          const { filename, originalname, mimetype, size } = req.file;
+          db.run(
+            `UPDATE uploads SET filename = ?, originalname = ?, mimetype = ?, size = ?, created_at = CURRENT_TIMESTAMP
+             WHERE id = ?`,
+            [filename, originalname, mimetype, size, before.id],
+            (err) => {
+              if (err) {
+                removeUploadedFile(req.file);
+                return res.status(500).json({ error: 'Failed to replace attachment' });
+              }
+              removeUploadedFile(before);
+              db.get('SELECT * FROM uploads WHERE id = ?', [before.id], (getErr, after) => {
+                attachmentAudit(req, 'entry.attachment_replace', entry, { before, after: getErr ? null : after });
+                attachmentsChanged(req, res, entry, asStaff);
+              });
+            }
+          );
+        });
+      });
+    });
+  };
+}
+
+// Entries keep at least one screenshot or their activity file as proof
+function removeAttachment(asStaff) {
+  return (req, res) => {
+    loadAttachmentEntry(req, res, asStaff, (entry) => {
+      loadAttachment(req, res, entry, (before) => {
+        if (entry.attachment_count <= 1 && !entry.activity_count) {
+          return res.status(400).json({ error: 'An entry needs a screenshot or activity file; replace this one instead' });
+        }
+        db.run('DELETE FROM uploads WHERE id = ?', [before.id], (err) => {
+          if (err) return res.status(500).json({ error: 'Failed to remove attachment' });
+          removeUploadedFile(before);
+          attachmentAudit(req, 'entry.attachment_remove', entry, { before });
+          attachmentsChanged(req, res, entry, asStaff);
+        });
+      });
+    });
+  };
+}
+
+const manageEntry = requirePermission('entries.manage', { owner: 'entries' });
+
+router.post('/api/entries/:id/attachments', requireAuth, addAttachments(false));
+router.put('/api/entries/:id/attachments/:uploadId', requireAuth, replaceAttachment(false));
+router.delete('/api/entries/:id/attachments/:uploadId', requireAuth, removeAttachment(false));
+router.post('/api/admin/entries/:id/attachments', manageEntry, addAttachments(true));
+router.put('/api/admin/entries/:id/attachments/:uploadId', manageEntry, replaceAttachment(true));
+router.delete('/api/admin/entries/:id/attachments/:uploadId', manageEntry, removeAttachment(true));
 
 // Admin APIs
+
+// Admin lists are paged (limit/offset) and sortable (sort/order); see listQuery.js
+function pageResponse(key, page, { limit, offset }, order) {
+  return { [key]: page.rows, total: page.total, limit, offset, sort: order.sort, order: order.order };
+}
+
+function emailFilter(where, params, text) {
+  if (!text) return;
+  where.push("u.email LIKE ? ESCAPE '\\'");
+  params.push(containsPattern(text));
+}
+
+// total_km counts every entry but rejected ones
+const USER_SORTS = {
+  id: 'u.id',
+  email: 'u.email COLLATE NOCASE',
+  created_at: 'u.created_at',
+  total_km: 'total_km',
+  failed_logins: 'u.failed_logins',
+  role: 'u.role'
+};
+
+// Filters: q (email contains), locked=1, role
 router.get('/api/admin/users', requireAdmin, (req, res) => {
-  db.all("SELECT id, email, created_at FROM users WHERE email <> 'admin' ORDER BY id ASC", [], (err, rows) => {
+  const where = ["u.email <> 'admin'", 'u.deleted_at IS NULL'];
+  const params = [];
+  emailFilter(where, params, req.query.q);
+  if (req.query.locked === '1') where.push("u.locked_until > datetime('now')");
+  if (ROLES.includes(req.query.role)) { where.push('u.role = ?'); params.push(req.query.role); }
+  const paging = pageParams(req.query, { maxLimit: 1000 });
+  const order = sortClause(req.query, USER_SORTS, { sort: 'id', tiebreak: 'u.id' });
+
+  fetchPage(db, {
+    select: `u.id, u.email, u.display_name, u.role, u.privacy, u.gender, u.birth_date, u.created_at, u.failed_logins,
+             CASE WHEN u.locked_until > datetime('now') THEN u.locked_until END as locked_until,
+             (SELECT COALESCE(SUM(e.km_run), 0) FROM entries e
+              WHERE e.user_id = u.id AND e.deleted_at IS NULL AND e.status != 'rejected') as total_km`,
+    from: 'users u',
+    where,
+    params,
+    orderBy: order.sql,
+    ...paging
+  }, (err, page) => {
     if (err) return res.status(500).json({ error: 'Failed to fetch users' });
-    res.json({ users: rows });
+    res.json(pageResponse('users', page, paging, order));
   });
 });
 
-router.get('/api/admin/entries', requireAdmin, (req, res) => {
-  const { month } = req.query; // format YYYY-MM
-  let start, end;
-  
-  if (month && /^\d{4}-\d{2}$/.test(month)) {
-    start = month + '-01';
-    // Compute end as next month
-    const [y, m] = month.split('-').map(Number);
-    const next = new Date(y, m, 1); // m is 1-based here due to Date usage below
-    const nextY = next.getFullYear();
-    const nextM = String(next.getMonth() + 1).padStart(2, '0');
-    end = `${nextY}-${nextM}-01`;
+const ENTRY_SORTS = {
+  date: 'e.entry_date',
+  email: 'u.email COLLATE NOCASE',
+  km: 'e.km_run',
+  hours: 'e.hours',
+  status: 'e.status',
+  event: 'ev.name',
+  created_at: 'e.created_at'
+};
+
+// Filters: from/to (entry dates, inclusive), else month (YYYY-MM, the current
+// one by default); user_id; event_id ('none' for entries outside events);
+// status; has_screenshot (1/0); q (email contains). totals sums km and hours
+// over every matching entry, not just the page.
+router.get('/api/admin/entries', requirePermission('entries.manage'), (req, res) => {
+  const { from, to, user_id, event_id, status, has_screenshot } = req.query;
+  const where = ['e.deleted_at IS NULL', 'u.deleted_at IS NULL'];
+  const params = [];
+  limitToOwnEvents(req, where, params, 'e.event_id');
+  let month = null;
+  if (isRealDate(from) || isRealDate(to)) {
+    if (isRealDate(from)) { where.push('e.entry_date >= ?'); params.push(from); }
+    if (isRealDate(to)) { where.push('e.entry_date <= ?'); params.push(to); }
   } else {
-    // default: current month
-    const now = new Date();
-    const y = now.getFullYear();
-    const m = String(now.getMonth() + 1).padStart(2, '0');
-    start = `${y}-${m}-01`;
-    const next = new Date(y, now.getMonth() + 1, 1);
-    const nextY = next.getFullYear();
-    const nextM = String(next.getMonth() + 1).padStart(2, '0');
-    end = `${nextY}-${nextM}-01`;
-  }
-  
-  const sql = `SELECT e.id, e.user_id, u.email, e.entry_date as date, e.km_run as km, e.hours, e.pace,
-                      up.id as upload_id, up.filename, up.originalname, up.mimetype
-               FROM entries e 
-               JOIN users u ON u.id = e.user_id
-               LEFT JOIN uploads up ON up.entry_id = e.id
-               WHERE e.entry_date >= ? AND e.entry_date < ?
-               ORDER BY e.entry_date DESC, e.user_id ASC`;
-  db.all(sql, [start, end], (err, rows) => {
+    const { start, end } = monthBounds(requestMonth(req, req.query.month));
+    where.push('e.entry_date >= ?', 'e.entry_date < ?');
+    params.push(start, end);
+    month = start.slice(0, 7);
+  }
+  if (user_id) { where.push('e.user_id = ?'); params.push(Number(user_id)); }
+  if (event_id === 'none') where.push('e.event_id IS NULL');
+  else if (event_id) { where.push('e.event_id = ?'); params.push(Number(event_id)); }
+  if (['pending', 'approved', 'rejected'].includes(status)) { where.push('e.status = ?'); params.push(status); }
+  if (has_screenshot === '1') where.push('EXISTS (SELECT 1 FROM uploads up WHERE up.entry_id = e.id)');
+  if (has_screenshot === '0') where.push('NOT EXISTS (SELECT 1 FROM uploads up WHERE up.entry_id = e.id)');
+  emailFilter(where, params, req.query.q);
+  const paging = pageParams(req.query, { defaultLimit: 100, maxLimit: 1000 });
+  const order = sortClause(req.query, ENTRY_SORTS, { sort: 'date', order: 'desc', tiebreak: 'e.id' });
+
+  fetchPage(db, {
+    select: `e.id, e.user_id, u.email, e.entry_date as date, e.km_run as km, e.hours, e.pace, e.flags,
+             e.status, e.rejection_reason, e.source, e.event_id, ev.name as event_name,
+             at.id as activity_id, at.format as activity_format`,
+    from: `entries e
+           JOIN users u ON u.id = e.user_id
+           LEFT JOIN activity_tracks at ON at.entry_id = e.id
+           LEFT JOIN events ev ON ev.id = e.event_id AND ev.deleted_at IS NULL`,
+    where,
+    params,
+    orderBy: order.sql,
+    summary: 'COALESCE(SUM(e.km_run), 0) as km, COALESCE(SUM(e.hours), 0) as hours',
+    ...paging
+  }, (err, page) => {
     if (err) return res.status(500).json({ error: 'Failed to fetch entries' });
-    res.json({ entries: rows || [], month: start.slice(0,7) });
+    withAttachments(page.rows.map(r => ({ ...r, flags: readFlags(r.flags) })), (attachErr, rows) => {
+      if (attachErr) return res.status(500).json({ error: 'Failed to fetch entries' });
+      res.json({ ...pageResponse('entries', { ...page, rows }, paging, order), month, totals: page.summary });
+    });
   });
 });
 
-router.delete('/api/admin/users/:id', requireAdmin, (req, res) => {
+router.delete('/api/admin/users/:id', requireAdmin, audited('user.delete', { table: 'users', subject: userSubject }), (req, res) => {
   const targetId = Number(req.params.id);
   if (!Number.isInteger(targetId) || targetId <= 0) return res.status(400).json({ error: 'Invalid user id' });
   if (targetId === req.session.userId) return res.status(400).json({ error: 'Cannot delete yourself' });
   // Prevent deleting the seeded admin account named 'admin'
-  db.get('SELECT email FROM users WHERE id = ?', [targetId], (err, row) => {
+  db.get('SELECT email FROM users WHERE id = ? AND deleted_at IS NULL', [targetId], (err, row) => {
     if (err) return res.status(500).json({ error: 'Lookup failed' });
     if (!row) return res.status(404).json({ error: 'User not found' });
     if (row.email === 'admin') return res.status(400).json({ error: 'Cannot delete primary admin' });
-    db.run('DELETE FROM users WHERE id = ?', [targetId], function(delErr) {
-      if (delErr) return res.status(500).json({ error: 'Delete failed' });
-      return res.json({ ok: true, deleted: this.changes });
-    });
+    // The account goes to the trash; its entries, uploads and event places stay
+    // until it is purged, so restoring it brings everything back
+    db.run(
+      'UPDATE users SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ? WHERE id = ? AND deleted_at IS NULL',
+      [req.session.userId, targetId],
+      function(delErr) {
+        if (delErr) return res.status(500).json({ error: 'Delete failed' });
+        return res.json({ ok: true, deleted: this.changes });
+      }
+    );
   });
 });
 
+// Lift a lockout after failed logins and start the failure count over
+router.post('/api/admin/users/:id/unlock', requireAdmin, audited('user.unlock', { table: 'users', subject: userSubject }), (req, res) => {
+  const targetId = Number(req.params.id);
+  if (!Number.isInteger(targetId) || targetId <= 0) return res.status(400).json({ error: 'Invalid user id' });
+  db.run(
+    'UPDATE users SET failed_logins = 0, locked_until = NULL WHERE id = ? AND deleted_at IS NULL',
+    [targetId],
+    function(err) {
+      if (err) return res.status(500).json({ error: 'Failed to unlock user' });
+      if (this.changes === 0) return res.status(404).json({ error: 'User not found' });
+      res.json({ ok: true });
+    }
+  );
+});
+
+// Issue a one-time password reset link for a user who cannot log in. link is
+// null without APP_URL; the SPA then builds it from its own address.
+router.post('/api/admin/users/:id/reset-token', requireAdmin, (req, res) => {
+  const targetId = Number(req.params.id);
+  if (!Number.isInteger(targetId) || targetId <= 0) return res.status(400).json({ error: 'Invalid user id' });
+  db.get('SELECT id FROM users WHERE id = ? AND deleted_at IS NULL', [targetId], (err, row) => {
+    if (err) return res.status(500).json({ error: 'Lookup failed' });
+    if (!row) return res.status(404).json({ error: 'User not found' });
+    createResetToken(targetId, req.session.userId, (tokenErr, reset) => {
+      if (tokenErr) return res.status(500).json({ error: 'Failed to create reset token' });
+      recordAudit(req, {
+        action: 'user.reset_token',
+        targetType: 'users',
+        targetId,
+        subjectUserId: targetId,
+        after: { expires_in_minutes: reset.expiresInMinutes }
+      });
+      res.json({ ok: true, token: reset.token, link: resetLink(reset.token), expiresInMinutes: reset.expiresInMinutes });
+    });
+  });
+});
 
 router.get('/api/admin/top10', requireAdmin, (req, res) => {
   const { month } = req.query; // format YYYY-MM
-  let start, end;
-  if (month && /^\d{4}-\d{2}$/.test(month)) {
-    start = month + '-01';
-    // Compute end as next month
-    const [y, m] = month.split('-').map(Number);
-    const next = new Date(y, m, 1); // m is 1-based here due to Date usage below
-    const nextY = next.getFullYear();
-    const nextM = String(next.getMonth() + 1).padStart(2, '0');
-    end = `${nextY}-${nextM}-01`;
-  } else {
-    // default: current month
-    const now = new Date();
-    const y = now.getFullYear();
-    const m = String(now.getMonth() + 1).padStart(2, '0');
-    start = `${y}-${m}-01`;
-    const next = new Date(y, now.getMonth() + 1, 1);
-    const nextY = next.getFullYear();
-    const nextM = String(next.getMonth() + 1).padStart(2, '0');
-    end = `${nextY}-${nextM}-01`;
-  }
-
-  const sql = `SELECT u.id as user_id, u.email, ROUND(SUM(e.km_run), 2) as total_km
+  const { start, end } = monthBounds(requestMonth(req, month));
+
+  const sql = `SELECT u.id as user_id, u.email, u.display_name, u.avatar_filename, u.privacy, ROUND(SUM(e.km_run), 2) as total_km
                FROM entries e JOIN users u ON u.id = e.user_id
-               WHERE e.entry_date >= ? AND e.entry_date < ?
+               WHERE e.entry_date >= ? AND e.entry_date < ? AND e.status = 'approved'
+                 AND e.deleted_at IS NULL AND u.deleted_at IS NULL
                GROUP BY e.user_id
                ORDER BY total_km DESC
                LIMIT 10`;
   db.all(sql, [start, end], (err, rows) => {
     if (err) return res.status(500).json({ error: 'Failed to compute top 10' });
-    res.json({ month: start.slice(0,7), top10: rows });
+    const top10 = rows.map(({ avatar_filename, ...r }) => ({
+      ...r,
+      display_name: displayName({ id: r.user_id, display_name: r.display_name }),
+      avatar_url: avatarUrl({ avatar_filename })
+    }));
+    res.json({ month: start.slice(0,7), top10 });
   });
 });
 
-// Admin uploads listing
-router.get('/api/admin/uploads', requireAdmin, (req, res) => {
-  const { user_id } = req.query;
-  const params = [];
-  let where = '';
-  if (user_id) {
-    where = 'WHERE u.id = ?';
-    params.push(Number(user_id));
-  }
-  const sql = `SELECT up.id, up.user_id, u.email, up.entry_id, e.entry_date as date, up.filename, up.originalname, up.mimetype, up.size, up.created_at
-               FROM uploads up
-               JOIN users u ON u.id = up.user_id
-               LEFT JOIN entries e ON e.id = up.entry_id
-               ${where}
-               ORDER BY up.created_at DESC
-               LIMIT 200`;
+// Bulk import of historical entries from CSV (email, date, km, hours, pace).
+// With dry_run the rows are only validated and returned for preview.
+router.post('/api/admin/import/entries', requireAdmin, csvUpload.single('file'), (req, res) => {
+  if (!req.file) return res.status(400).json({ error: 'No file' });
+  const dryRun = ['1', 'true'].includes(String(req.body.dry_run || req.query.dry_run || ''));
+
+  const text = req.file.buffer.toString('utf8');
+  const rowErrors = (result) => res.status(400).json({
+    error: `${result.errorCount} row(s) have errors; nothing was imported`, rows: result.rows, errorCount: result.errorCount
+  });
+  validateImport(text)
+    .then(checked => {
+      if (checked.error) return res.status(400).json({ error: checked.error });
+      if (dryRun) return res.json({ ok: true, dryRun: true, rows: checked.rows, errorCount: checked.errorCount });
+      if (checked.errorCount > 0) return rowErrors(checked);
+      return commitImport(text, req.session.userId).then(({ rows, errorCount, imported }) => {
+        // Entries saved since the check made some rows duplicates
+        if (errorCount > 0) return rowErrors({ rows, errorCount });
+        new Set(rows.map(r => r.user_id)).forEach(refreshAchievements);
+        // One log line per runner, listing the entries they got
+        const byUser = new Map();
+        for (const r of rows) {
+          if (!byUser.has(r.user_id)) byUser.set(r.user_id, []);
+          byUser.get(r.user_id).push({ date: r.date, km: r.km, hours: r.hours, pace: r.pace });
+        }
+        for (const [userId, entries] of byUser) {
+          recordAudit(req, { action: 'entry.import', targetType: 'entries', subjectUserId: userId, after: { entries } });
+        }
+        res.json({ ok: true, dryRun: false, rows, errorCount: 0, imported });
+      });
+    })
+    .catch(() => res.status(500).json({ error: 'Import failed' }));
+});
+
+// Re-checks the milestone badges of the runner who owns the entry, e.g. after
+// a review moved it into or out of 'rejected'
+function refreshEntryOwner(entryId) {
+  db.get('SELECT user_id FROM entries WHERE id = ?', [entryId], (err, row) => {
+    if (!err && row) refreshAchievements(row.user_id);
+  });
+}
+
+// Review queue: entries awaiting verification together with their screenshots.
+// Organizers only see the entries of their events.
+router.get('/api/admin/review', requirePermission('entries.review'), (req, res) => {
+  const status = req.query.status || 'pending';
+  if (!['pending', 'approved', 'rejected'].includes(status)) {
+    return res.status(400).json({ error: 'Invalid status' });
+  }
+  const where = ['e.status = ?', 'e.deleted_at IS NULL', 'u.deleted_at IS NULL'];
+  const params = [status];
+  // ?flagged=1 narrows the queue to entries validation found suspicious
+  if (req.query.flagged === '1') where.push('e.flags IS NOT NULL');
+  limitToOwnEvents(req, where, params, 'e.event_id');
+
+  const sql = `SELECT e.id, e.user_id, u.email, e.entry_date as date, e.km_run as km, e.hours, e.pace, e.flags,
+                      e.status, e.rejection_reason, e.reviewed_at, e.created_at, r.email as reviewed_by_email,
+                      ev.name as event_name,
+                      at.id as activity_id, at.format as activity_format, at.distance_km as activity_km,
+                      at.moving_hours as activity_hours, at.start_time as activity_start_time
+               FROM entries e
+               JOIN users u ON u.id = e.user_id
+               LEFT JOIN users r ON r.id = e.reviewed_by
+               LEFT JOIN events ev ON ev.id = e.event_id AND ev.deleted_at IS NULL
+               LEFT JOIN activity_tracks at ON at.entry_id = e.id
+               WHERE ${where.join(' AND ')}
+               ORDER BY e.created_at ASC, e.id ASC`;
   db.all(sql, params, (err, rows) => {
+    if (err) return res.status(500).json({ error: 'Failed to fetch review queue' });
+    withAttachments((rows || []).map(r => ({ ...r, flags: readFlags(r.flags) })), (attachErr, entries) => {
+      if (attachErr) return res.status(500).json({ error: 'Failed to fetch review queue' });
+      res.json({ entries, status });
+    });
+  });
+});
+
+router.post('/api/admin/entries/:id/approve', requirePermission('entries.review', { owner: 'entries' }), audited('entry.approve', { table: 'entries' }), (req, res) => {
+  const entryId = Number(req.params.id);
+  if (!Number.isInteger(entryId) || entryId <= 0) {
+    return res.status(400).json({ error: 'Invalid entry ID' });
+  }
+
+  db.run(
+    `UPDATE entries SET status = 'approved', rejection_reason = NULL, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND deleted_at IS NULL`,
+    [req.session.userId, entryId],
+    function(err) {
+      if (err) return res.status(500).json({ error: 'Failed to approve entry' });
+      if (this.changes === 0) return res.status(404).json({ error: 'Entry not found' });
+      refreshEntryOwner(entryId);
+      emitEntryWebhook('entry.reviewed', entryId);
+      res.json({ ok: true });
+    }
+  );
+});
+
+router.post('/api/admin/entries/:id/reject', requirePermission('entries.review', { owner: 'entries' }), audited('entry.reject', { table: 'entries' }), (req, res) => {
+  const entryId = Number(req.params.id);
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+  if (!Number.isInteger(entryId) || entryId <= 0) {
+    return res.status(400).json({ error: 'Invalid entry ID' });
+  }
+  if (!reason) return res.status(400).json({ error: 'Rejection reason is required' });
+
+  db.run(
+    `UPDATE entries SET status = 'rejected', rejection_reason = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND deleted_at IS NULL`,
+    [reason, req.session.userId, entryId],
+    function(err) {
+      if (err) return res.status(500).json({ error: 'Failed to reject entry' });
+      if (this.changes === 0) return res.status(404).json({ error: 'Entry not found' });
+      refreshEntryOwner(entryId);
+      emitEntryWebhook('entry.reviewed', entryId);
+      res.json({ ok: true });
+    }
+  );
+});
+
+const UPLOAD_SORTS = {
+  created_at: 'up.created_at',
+  email: 'u.email COLLATE NOCASE',
+  date: 'e.entry_date',
+  size: 'up.size',
+  name: 'up.originalname COLLATE NOCASE'
+};
+
+// Admin uploads listing. Filters: user_id, q (email contains), from/to (upload
+// days in the caller's timezone, inclusive), attached (1: belongs to an entry, 0: loose).
+router.get('/api/admin/uploads', requirePermission('entries.review'), (req, res) => {
+  const { user_id, from, to, attached } = req.query;
+  // Screenshots of trashed runners and entries are left out
+  const where = ['u.deleted_at IS NULL', '(up.entry_id IS NULL OR e.deleted_at IS NULL)'];
+  const params = [];
+  limitToOwnEvents(req, where, params, 'e.event_id');
+  if (user_id) { where.push('u.id = ?'); params.push(Number(user_id)); }
+  emailFilter(where, params, req.query.q);
+  const tz = requestTimezone(req);
+  if (isRealDate(from)) { where.push('up.created_at >= ?'); params.push(startOfDayUtc(from, tz)); }
+  if (isRealDate(to)) { where.push('up.created_at < ?'); params.push(startOfDayUtc(addDays(to, 1), tz)); }
+  if (attached === '1') where.push('up.entry_id IS NOT NULL');
+  if (attached === '0') where.push('up.entry_id IS NULL');
+  const paging = pageParams(req.query, { maxLimit: 1000 });
+  const order = sortClause(req.query, UPLOAD_SORTS, { sort: 'created_at', order: 'desc', tiebreak: 'up.id' });
+
+  fetchPage(db, {
+    select: 'up.id, up.user_id, u.email, up.entry_id, e.entry_date as date, up.filename, up.originalname, up.mimetype, up.size, up.created_at',
+    from: `uploads up
+           JOIN users u ON u.id = up.user_id
+           LEFT JOIN entries e ON e.id = up.entry_id`,
+    where,
+    params,
+    orderBy: order.sql,
+    ...paging
+  }, (err, page) => {
     if (err) return res.status(500).json({ error: 'Failed to fetch uploads' });
-    res.json({ uploads: rows });
+    res.json(pageResponse('uploads', page, paging, order));
   });
 });
 
 // Admin secure file fetch
-router.get('/api/admin/uploads/:id/file', requireAdmin, (req, res) => {
+router.get('/api/admin/uploads/:id/file', requirePermission('entries.review', { owner: 'uploads' }), (req, res) => {
   const id = Number(req.params.id);
   if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'Invalid id' });
   db.get('SELECT filename, originalname, mimetype FROM uploads WHERE id = ?', [id], (err, row) => {
@@ -335,18 +963,59 @@ router.get('/api/admin/uploads/:id/file', requireAdmin, (req, res) => {
 router.get('/api/uploads/:id/file', requireAuth, (req, res) => {
   const id = Number(req.params.id);
   if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'Invalid id' });
-  db.get('SELECT filename, originalname, mimetype FROM uploads WHERE id = ? AND user_id = ?', [id, req.session.userId], (err, row) => {
+  db.get(
+    `SELECT up.filename, up.originalname, up.mimetype
+     FROM uploads up
+     LEFT JOIN entries e ON e.id = up.entry_id
+     WHERE up.id = ? AND up.user_id = ? AND e.deleted_at IS NULL`,
+    [id, req.session.userId],
+    (err, row) => {
+      if (err || !row) return res.status(404).json({ error: 'Not found' });
+      const filePath = path.join(uploadDir, row.filename);
+      if (!fs.existsSync(filePath)) return res.status(404).json({ error: 'File missing' });
+      res.setHeader('Content-Type', row.mimetype);
+      res.setHeader('Content-Disposition', `inline; filename="${row.originalname.replaceAll('"','')}"`);
+      fs.createReadStream(filePath).pipe(res);
+    }
+  );
+});
+
+// Parsed activity track for an entry (admin proof view)
+router.get('/api/admin/activities/:id', requirePermission('entries.review', { owner: 'activity_tracks' }), (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'Invalid id' });
+  db.get(
+    `SELECT at.id, at.user_id, u.email, at.entry_id, at.format, at.originalname, at.size, at.distance_km,
+            at.moving_hours, at.avg_pace, at.start_time, at.track_points, at.created_at
+     FROM activity_tracks at
+     JOIN users u ON u.id = at.user_id
+     WHERE at.id = ?`,
+    [id],
+    (err, row) => {
+      if (err || !row) return res.status(404).json({ error: 'Not found' });
+      const { track_points, ...activity } = row;
+      let points = [];
+      try { points = JSON.parse(track_points || '[]'); } catch (e) { points = []; }
+      res.json({ activity: { ...activity, points } });
+    }
+  );
+});
+
+router.get('/api/admin/activities/:id/file', requirePermission('entries.review', { owner: 'activity_tracks' }), (req, res) => {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id <= 0) return res.status(400).json({ error: 'Invalid id' });
+  db.get('SELECT filename, originalname FROM activity_tracks WHERE id = ?', [id], (err, row) => {
     if (err || !row) return res.status(404).json({ error: 'Not found' });
     const filePath = path.join(uploadDir, row.filename);
     if (!fs.existsSync(filePath)) return res.status(404).json({ error: 'File missing' });
-    res.setHeader('Content-Type', row.mimetype);
-    res.setHeader('Content-Disposition', `inline; filename="${row.originalname.replaceAll('"','')}"`);
+    res.setHeader('Content-Type', 'application/octet-stream');
+    res.setHeader('Content-Disposition', `attachment; filename="${row.originalname.replaceAll('"','')}"`);
     fs.createReadStream(filePath).pipe(res);
   });
 });
 
 // Event management APIs
-router.post('/api/admin/events', requireAdmin, (req, res) => {
+router.post('/api/admin/events', requirePermission('events.manage'), audited('event.create', { table: 'events', id: createdId('eventId') }), (req, res) => {
   const { name, start_date, end_date, category, gender_restriction, km_goal } = req.body;
   
   if (!name || !start_date || !end_date || !category || !gender_restriction || km_goal === undefined || km_goal === null) {
@@ -370,32 +1039,104 @@ router.post('/api/admin/events', requireAdmin, (req, res) => {
     return res.status(400).json({ error: 'KM goal must be a positive number' });
   }
   
+  const teamScoring = teamScoringFromBody(req.body);
+  if (teamScoring.error) return res.status(400).json({ error: teamScoring.error });
+  const rankingRule = rankingRuleFromBody(req.body);
+  if (rankingRule.error) return res.status(400).json({ error: rankingRule.error });
+  const divisions = divisionsFromBody(req.body);
+  if (divisions.error) return res.status(400).json({ error: divisions.error });
+  
+  const countFrom = req.body.count_entries_from || null;
+  if (countFrom !== null && !['event_start', 'joined_at'].includes(countFrom)) {
+    return res.status(400).json({ error: 'Invalid count_entries_from' });
+  }
+  
+  // Days after end_date during which late entries are still accepted
+  const graceDays = req.body.grace_days === undefined || req.body.grace_days === '' ? null : Number(req.body.grace_days);
+  if (graceDays !== null && (!Number.isInteger(graceDays) || graceDays < 0)) {
+    return res.status(400).json({ error: 'Grace days must be a whole number of days' });
+  }
+  
+  const registration = registrationFromBody(req.body, { end_date });
+  if (registration.error) return res.status(400).json({ error: registration.error });
+  const reg = registration.values;
+  
+  // Drafts stay hidden from runners until published; anything else gets its
+  // lifecycle state from the dates right away
   const stmt = db.prepare(
-    'INSERT INTO events (name, start_date, end_date, category, gender_restriction, km_goal, created_by) VALUES (?, ?, ?, ?, ?, ?, ?)'
+    `INSERT INTO events (name, start_date, end_date, category, gender_restriction, km_goal, created_by,
+                         team_scoring, team_top_n, ranking_metric, ranking_tiebreakers, count_entries_from,
+                         grace_days, status, registration_opens, registration_closes, max_participants,
+                         visibility, invite_code, division_by_gender, division_by_category, age_brackets)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
   );
   
-  stmt.run(name, start_date, end_date, category, gender_restriction, kmGoalNum, req.session.userId, function(err) {
-    if (err) return res.status(500).json({ error: 'Failed to create event' });
-    res.json({ ok: true, eventId: this.lastID });
-  });
-});
-
-router.get('/api/admin/events', requireAdmin, (req, res) => {
-  db.all(
-    `SELECT e.id, e.name, e.start_date, e.end_date, e.category, e.gender_restriction, e.km_goal,
-            e.created_at, e.is_ended, u.email as created_by_email
-     FROM events e
-     JOIN users u ON u.id = e.created_by
-     ORDER BY e.created_at DESC`,
-    [],
-    (err, rows) => {
-      if (err) return res.status(500).json({ error: 'Failed to fetch events' });
-      res.json({ events: rows || [] });
+  stmt.run(
+    name, start_date, end_date, category, gender_restriction, kmGoalNum, req.session.userId,
+    teamScoring.team_scoring || 'sum', teamScoring.team_top_n || 3,
+    rankingRule.ranking_metric || 'total_km', rankingRule.ranking_tiebreakers || '',
+    countFrom || 'event_start', graceDays || 0, req.body.draft ? 'draft' : 'active',
+    reg.registration_opens, reg.registration_closes, reg.max_participants, reg.visibility, reg.invite_code,
+    divisions.division_by_gender || 0, divisions.division_by_category || 0, divisions.age_brackets || '',
+    function(err) {
+      if (err) return res.status(500).json({ error: 'Failed to create event' });
+      const eventId = this.lastID;
+      runLifecycle()
+        .then(() => {
+          // Drafts are announced when they are published
+          db.get('SELECT * FROM events WHERE id = ?', [eventId], (getErr, event) => {
+            if (!getErr && event && event.status !== 'draft') emitWebhook('event.created', { event });
+          });
+          res.json({ ok: true, eventId });
+        })
+        .catch(() => res.status(500).json({ error: 'Event created but its status could not be updated' }));
     }
   );
 });
 
-router.put('/api/admin/events/:id', requireAdmin, (req, res) => {
+const EVENT_SORTS = {
+  created_at: 'e.created_at',
+  name: 'e.name COLLATE NOCASE',
+  start_date: 'e.start_date',
+  end_date: 'e.end_date',
+  status: 'e.status'
+};
+
+// Filters: q (name contains), status, from/to (events overlapping these dates)
+router.get('/api/admin/events', requirePermission('events.manage'), (req, res) => {
+  const { q, status, from, to } = req.query;
+  const where = ['e.deleted_at IS NULL'];
+  const params = [];
+  limitToOwnEvents(req, where, params, 'e.id');
+  if (q) { where.push("e.name LIKE ? ESCAPE '\\'"); params.push(containsPattern(q)); }
+  if (status) { where.push('e.status = ?'); params.push(String(status)); }
+  if (isRealDate(from)) { where.push('e.end_date >= ?'); params.push(from); }
+  if (isRealDate(to)) { where.push('e.start_date <= ?'); params.push(to); }
+  const paging = pageParams(req.query, { maxLimit: 1000 });
+  const order = sortClause(req.query, EVENT_SORTS, { sort: 'created_at', order: 'desc', tiebreak: 'e.id' });
+
+  fetchPage(db, {
+    select: `e.id, e.name, e.start_date, e.end_date, e.category, e.gender_restriction, e.km_goal,
+             e.team_scoring, e.team_top_n, e.ranking_metric, e.ranking_tiebreakers, e.count_entries_from,
+             e.status, e.grace_days, e.closed_at, cu.email as closed_by_email,
+             e.created_at, e.is_ended, u.email as created_by_email,
+             e.registration_opens, e.registration_closes, e.max_participants, e.visibility, e.invite_code,
+             e.division_by_gender, e.division_by_category, e.age_brackets,
+             (${PARTICIPANT_COUNT_SQL}) as participant_count, (${WAITLIST_COUNT_SQL}) as waitlist_count`,
+    from: `events e
+           LEFT JOIN users u ON u.id = e.created_by
+           LEFT JOIN users cu ON cu.id = e.closed_by`,
+    where,
+    params,
+    orderBy: order.sql,
+    ...paging
+  }, (err, page) => {
+    if (err) return res.status(500).json({ error: 'Failed to fetch events' });
+    res.json(pageResponse('events', page, paging, order));
+  });
+});
+
+router.put('/api/admin/events/:id', requirePermission('events.manage', { owner: 'events' }), audited('event.update', { table: 'events' }), (req, res) => {
   const eventId = Number(req.params.id);
   const { name, start_date, end_date, category, gender_restriction, km_goal } = req.body;
   
@@ -424,98 +1165,147 @@ router.put('/api/admin/events/:id', requireAdmin, (req, res) => {
     return res.status(400).json({ error: 'KM goal must be a positive number' });
   }
   
-  db.run(
-    'UPDATE events SET name = ?, start_date = ?, end_date = ?, category = ?, gender_restriction = ?, km_goal = ? WHERE id = ?',
-    [name, start_date, end_date, category, gender_restriction, kmGoalNum, eventId],
-    function(err) {
-      if (err) return res.status(500).json({ error: 'Failed to update event' });
-      if (this.changes === 0) return res.status(404).json({ error: 'Event not found' });
-      res.json({ ok: true });
-    }
-  );
+  const teamScoring = teamScoringFromBody(req.body);
+  if (teamScoring.error) return res.status(400).json({ error: teamScoring.error });
+  const rankingRule = rankingRuleFromBody(req.body);
+  if (rankingRule.error) return res.status(400).json({ error: rankingRule.error });
+  const divisions = divisionsFromBody(req.body);
+  if (divisions.error) return res.status(400).json({ error: divisions.error });
+  
+  const countFrom = req.body.count_entries_from || null;
+  if (countFrom !== null && !['event_start', 'joined_at'].includes(countFrom)) {
+    return res.status(400).json({ error: 'Invalid count_entries_from' });
+  }
+  
+  // Days after end_date during which late entries are still accepted
+  const graceDays = req.body.grace_days === undefined || req.body.grace_days === '' ? null : Number(req.body.grace_days);
+  if (graceDays !== null && (!Number.isInteger(graceDays) || graceDays < 0)) {
+    return res.status(400).json({ error: 'Grace days must be a whole number of days' });
+  }
+  
+  db.get('SELECT * FROM events WHERE id = ? AND deleted_at IS NULL', [eventId], (err, event) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    if (!event) return res.status(404).json({ error: 'Event not found' });
+    if (event.status === 'closed') return res.status(400).json({ error: 'Event is closed and its results are final' });
+    
+    const registration = registrationFromBody(req.body, { end_date }, event);
+    if (registration.error) return res.status(400).json({ error: registration.error });
+    const reg = registration.values;
+    
+    db.run(
+      `UPDATE events SET name = ?, start_date = ?, end_date = ?, category = ?, gender_restriction = ?, km_goal = ?,
+              team_scoring = COALESCE(?, team_scoring), team_top_n = COALESCE(?, team_top_n),
+              ranking_metric = COALESCE(?, ranking_metric), ranking_tiebreakers = COALESCE(?, ranking_tiebreakers),
+              count_entries_from = COALESCE(?, count_entries_from), grace_days = COALESCE(?, grace_days),
+              registration_opens = ?, registration_closes = ?, max_participants = ?, visibility = ?, invite_code = ?,
+              division_by_gender = COALESCE(?, division_by_gender),
+              division_by_category = COALESCE(?, division_by_category), age_brackets = COALESCE(?, age_brackets)
+       WHERE id = ?`,
+      [
+        name, start_date, end_date, category, gender_restriction, kmGoalNum,
+        teamScoring.team_scoring, teamScoring.team_top_n,
+        rankingRule.ranking_metric, rankingRule.ranking_tiebreakers,
+        countFrom, graceDays,
+        reg.registration_opens, reg.registration_closes, reg.max_participants, reg.visibility, reg.invite_code,
+        divisions.division_by_gender, divisions.division_by_category, divisions.age_brackets,
+        eventId
+      ],
+      function(err) {
+        if (err) return res.status(500).json({ error: 'Failed to update event' });
+        if (this.changes === 0) return res.status(404).json({ error: 'Event not found' });
+        // New dates may move the event to another stage, and a higher cap
+        // lets runners in from the waitlist
+        runLifecycle()
+          .then(() => promoteWaitlist(eventId))
+          .then(() => res.json({ ok: true }))
+          .catch(() => res.status(500).json({ error: 'Event updated but its status could not be refreshed' }));
+      }
+    );
+  });
 });
 
-// End an event manually
-router.post('/api/admin/events/:id/end', requireAdmin, (req, res) => {
+// Close an event now instead of waiting for the scheduler. Final standings are frozen.
+router.post('/api/admin/events/:id/end', requirePermission('events.manage', { owner: 'events' }), audited('event.close', { table: 'events' }), (req, res) => {
   const eventId = Number(req.params.id);
   if (!Number.isInteger(eventId) || eventId <= 0) {
     return res.status(400).json({ error: 'Invalid event ID' });
   }
   
-  db.run('UPDATE events SET is_ended = 1 WHERE id = ?', [eventId], function(err) {
-    if (err) return res.status(500).json({ error: 'Failed to end event' });
-    if (this.changes === 0) return res.status(404).json({ error: 'Event not found' });
-    res.json({ ok: true });
+  db.get('SELECT status FROM events WHERE id = ? AND deleted_at IS NULL', [eventId], (err, event) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    if (!event) return res.status(404).json({ error: 'Event not found' });
+    if (event.status === 'closed') return res.status(400).json({ error: 'Event is already closed' });
+    
+    closeEvent(eventId, req.session.userId)
+      .then(closed => res.json({ ok: true, closed_at: closed.closed_at }))
+      .catch(() => res.status(500).json({ error: 'Failed to end event' }));
   });
 });
 
-router.delete('/api/admin/events/:id', requireAdmin, (req, res) => {
+// Make a draft event visible; its stage then follows its dates
+router.post('/api/admin/events/:id/publish', requirePermission('events.manage', { owner: 'events' }), audited('event.publish', { table: 'events' }), (req, res) => {
   const eventId = Number(req.params.id);
-  
   if (!Number.isInteger(eventId) || eventId <= 0) {
     return res.status(400).json({ error: 'Invalid event ID' });
   }
   
-  db.run('DELETE FROM events WHERE id = ?', [eventId], function(err) {
-    if (err) return res.status(500).json({ error: 'Failed to delete event' });
-    if (this.changes === 0) return res.status(404).json({ error: 'Event not found' });
-    res.json({ ok: true });
+  db.run("UPDATE events SET status = 'active' WHERE id = ? AND status = 'draft' AND deleted_at IS NULL", [eventId], function(err) {
+    if (err) return res.status(500).json({ error: 'Failed to publish event' });
+    if (this.changes === 0) return res.status(400).json({ error: 'Event not found or not a draft' });
+    runLifecycle()
+      .then(() => db.get('SELECT * FROM events WHERE id = ? AND deleted_at IS NULL', [eventId], (err, event) => {
+        if (err || !event) return res.json({ ok: true });
+        emitWebhook('event.created', { event });
+        res.json({ ok: true, status: event.status });
+      }))
+      .catch(() => res.status(500).json({ error: 'Event published but its status could not be updated' }));
   });
 });
 
-// Event participation APIs
-router.post('/api/events/:id/join', requireAuth, (req, res) => {
+router.delete('/api/admin/events/:id', requirePermission('events.manage', { owner: 'events' }), audited('event.delete', { table: 'events' }), (req, res) => {
   const eventId = Number(req.params.id);
   
   if (!Number.isInteger(eventId) || eventId <= 0) {
     return res.status(400).json({ error: 'Invalid event ID' });
   }
   
-  // Check if event exists and is active
-  db.get('SELECT * FROM events WHERE id = ?', [eventId], (err, event) => {
-    if (err) return res.status(500).json({ error: 'Database error' });
-    if (!event) return res.status(404).json({ error: 'Event not found' });
-    
-    // Get current Philippine time (UTC+8)
-    const now = new Date();
-    const phTime = new Date(now.getTime() + (8 * 60 * 60 * 1000));
-    const startDate = new Date(event.start_date);
-    const endDate = new Date(event.end_date);
-    
-    if (phTime < startDate) {
-      return res.status(400).json({ error: 'Event has not started yet' });
-    }
-    if (phTime > endDate) {
-      return res.status(400).json({ error: 'Event has already ended' });
+  // Participants, frozen results and event badges are kept until the event is purged
+  db.run(
+    'UPDATE events SET deleted_at = CURRENT_TIMESTAMP, deleted_by = ? WHERE id = ? AND deleted_at IS NULL',
+    [req.session.userId, eventId],
+    function(err) {
+      if (err) return res.status(500).json({ error: 'Failed to delete event' });
+      if (this.changes === 0) return res.status(404).json({ error: 'Event not found' });
+      res.json({ ok: true });
     }
-    
-    // Check if user already joined
-    db.get('SELECT id FROM event_participants WHERE event_id = ? AND user_id = ?', [eventId, req.session.userId], (err, existing) => {
-      if (err) return res.status(500).json({ error: 'Database error' });
-      if (existing) return res.status(400).json({ error: 'You have already joined this event' });
-      
-      // Check gender eligibility
-      db.get('SELECT gender FROM users WHERE id = ?', [req.session.userId], (err, user) => {
-        if (err) return res.status(500).json({ error: 'Database error' });
-        if (!user) return res.status(404).json({ error: 'User not found' });
-        
-        // Check if user's gender matches event restriction
-        if (event.gender_restriction !== 'both' && event.gender_restriction !== user.gender) {
-          return res.status(403).json({ 
-            error: `This event is exclusive to ${event.gender_restriction} participants only. You are ${user.gender}.` 
-          });
-        }
-        
-        // Join the event
-        db.run('INSERT INTO event_participants (event_id, user_id) VALUES (?, ?)', [eventId, req.session.userId], function(err) {
-          if (err) return res.status(500).json({ error: 'Failed to join event' });
-          res.json({ ok: true, participantId: this.lastID });
-        });
-      });
-    });
-  });
+  );
 });
 
+// Event participation APIs (joining, leaving and the waitlist are in routes/registration.js)
+
+// Private events are only shown to their participants, runners on their
+// waitlist and those managing the event. Calls back with (err, hidden).
+function hiddenPrivateEvent(req, event, cb) {
+  if (event.visibility !== 'private' || managesEvent(req, event)) return cb(null, false);
+  db.get(
+    `SELECT (SELECT COUNT(*) FROM event_participants WHERE event_id = ? AND user_id = ?)
+          + (SELECT COUNT(*) FROM event_waitlist WHERE event_id = ? AND user_id = ?) as n`,
+    [event.id, req.session.userId, event.id, req.session.userId],
+    (err, row) => cb(err, !err && row.n === 0)
+  );
+}
+
+// The event as runner-facing endpoints return it. The invite code, who
+// created it and the lifecycle bookkeeping stay with the admin endpoints.
+const RUNNER_EVENT_FIELDS = ['id', 'name', 'start_date', 'end_date', 'category', 'gender_restriction', 'km_goal',
+  'status', 'closed_at', 'team_scoring', 'team_top_n', 'ranking_metric', 'ranking_tiebreakers', 'count_entries_from',
+  'registration_opens', 'registration_closes', 'max_participants', 'visibility',
+  'division_by_gender', 'division_by_category', 'age_brackets'];
+
+function runnerEvent(event) {
+  return Object.fromEntries(RUNNER_EVENT_FIELDS.map(field => [field, event[field]]));
+}
+
 router.get('/api/events/:id/participants', requireAuth, (req, res) => {
   const eventId = Number(req.params.id);
   
@@ -523,18 +1313,33 @@ router.get('/api/events/:id/participants', requireAuth, (req, res) => {
     return res.status(400).json({ error: 'Invalid event ID' });
   }
   
-  db.all(
-    `SELECT u.id, u.email, ep.joined_at
-     FROM event_participants ep
-     JOIN users u ON u.id = ep.user_id
-     WHERE ep.event_id = ?
-     ORDER BY ep.joined_at ASC`,
-    [eventId],
-    (err, rows) => {
-      if (err) return res.status(500).json({ error: 'Failed to fetch participants' });
-      res.json({ participants: rows || [] });
-    }
-  );
+  db.get('SELECT id, visibility, created_by FROM events WHERE id = ? AND deleted_at IS NULL', [eventId], (err, event) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    if (!event) return res.status(404).json({ error: 'Event not found' });
+    hiddenPrivateEvent(req, event, (hideErr, hidden) => {
+      if (hideErr) return res.status(500).json({ error: 'Database error' });
+      if (hidden) return res.status(404).json({ error: 'Event not found' });
+      db.all(
+        `SELECT u.id, ep.joined_at
+         FROM event_participants ep
+         JOIN users u ON u.id = ep.user_id
+         WHERE ep.event_id = ? AND u.deleted_at IS NULL
+         ORDER BY ep.joined_at ASC`,
+        [eventId],
+        (err, rows) => {
+          if (err) return res.status(500).json({ error: 'Failed to fetch participants' });
+          // Display names and avatars, as far as each runner's privacy setting allows
+          eventViewer(req, eventId, (viewErr, viewer) => {
+            if (viewErr) return res.status(500).json({ error: 'Failed to fetch participants' });
+            presentRunners(rows || [], viewer, (presentErr, participants) => {
+              if (presentErr) return res.status(500).json({ error: 'Failed to fetch participants' });
+              res.json({ participants });
+            });
+          });
+        }
+      );
+    });
+  });
 });
 
 router.get('/api/events/:id/ranking', requireAuth, (req, res) => {
@@ -545,55 +1350,100 @@ router.get('/api/events/:id/ranking', requireAuth, (req, res) => {
   }
   
   // Get event details
-  db.get('SELECT * FROM events WHERE id = ?', [eventId], (err, event) => {
+  db.get('SELECT * FROM events WHERE id = ? AND deleted_at IS NULL', [eventId], (err, event) => {
     if (err) return res.status(500).json({ error: 'Database error' });
     if (!event) return res.status(404).json({ error: 'Event not found' });
     
-    const startDate = event.start_date;
-    const endDate = event.end_date;
+    if (event.status === 'draft' && !managesEvent(req, event)) return res.status(404).json({ error: 'Event not found' });
     
-    // Get participants with their total KM during the event period
-    db.all(
-      `SELECT u.id, u.email, COALESCE(SUM(e.km_run), 0) as total_km, COUNT(e.id) as entry_count
-       FROM event_participants ep
-       JOIN users u ON u.id = ep.user_id
-       LEFT JOIN entries e ON e.user_id = u.id AND e.entry_date >= ? AND e.entry_date <= ?
-       WHERE ep.event_id = ?
-       GROUP BY u.id, u.email
-       ORDER BY total_km DESC, u.email ASC`,
-      [startDate, endDate, eventId],
-      (err, rows) => {
+    hiddenPrivateEvent(req, event, (hideErr, hidden) => {
+      if (hideErr) return res.status(500).json({ error: 'Database error' });
+      if (hidden) return res.status(404).json({ error: 'Event not found' });
+      // Live standings, or the frozen final standings once the event is closed
+      fetchStandings(event, (err, allStandings) => {
         if (err) return res.status(500).json({ error: 'Failed to fetch ranking' });
-        res.json({ 
-          event: event,
-          ranking: rows || [],
-          goal: event.km_goal
+        // Display names instead of emails, as far as each runner's privacy setting allows
+        eventViewer(req, event.id, (viewErr, viewer) => {
+          if (viewErr) return res.status(500).json({ error: 'Failed to fetch ranking' });
+          presentStandings(allStandings, viewer, (presentErr, standings) => {
+            if (presentErr) return res.status(500).json({ error: 'Failed to fetch ranking' });
+            if (req.query.view === 'team') {
+              return res.json({
+                event: runnerEvent(event),
+                view: 'team',
+                scoring: { method: event.team_scoring, top_n: event.team_top_n },
+                teams: standings.teams,
+                frozen: standings.frozen,
+                closed_at: event.closed_at,
+                goal: event.km_goal
+              });
+            }
+            // Each runner's milestone badges and the ones earned in this event
+            attachBadges(standings.ranking, event.id, (badgeErr, ranking) => {
+              if (badgeErr) return res.status(500).json({ error: 'Failed to fetch ranking' });
+              res.json({ 
+                event: runnerEvent(event),
+                rule: { metric: event.ranking_metric, tiebreakers: parseTiebreakers(event.ranking_tiebreakers) },
+                ranking,
+                // Standings and podium of each division, when the event has divisions
+                division_rule: {
+                  by_gender: !!event.division_by_gender,
+                  by_category: !!event.division_by_category,
+                  age_brackets: parseAgeBrackets(event.age_brackets)
+                },
+                divisions: standings.divisions,
+                frozen: standings.frozen,
+                closed_at: event.closed_at,
+                goal: event.km_goal
+              });
+            });
+          });
         });
-      }
-    );
+      });
+    });
   });
 });
 
 // Get available events for users
 router.get('/api/events', requireAuth, (req, res) => {
-  // Get current Philippine time (UTC+8)
-  const now = new Date();
-  const phTime = new Date(now.getTime() + (8 * 60 * 60 * 1000));
-  const today = phTime.toISOString().split('T')[0]; // Current date in YYYY-MM-DD format
-  
+  // Drafts are hidden; closed events stay listed for 30 days after they end
+  // so runners can see their final standings. Private events are listed only
+  // for their participants and the runners on their waitlist.
   db.all(
     `SELECT e.id, e.name, e.start_date, e.end_date, e.category, e.gender_restriction, e.km_goal,
-            e.created_at, e.is_ended, u.email as created_by_email,
-            CASE WHEN ep.id IS NOT NULL THEN 1 ELSE 0 END as has_joined
+            e.team_scoring, e.team_top_n, e.ranking_metric, e.ranking_tiebreakers, e.count_entries_from,
+            e.status, e.grace_days, e.closed_at, e.created_at, e.is_ended, e.created_by,
+            u.display_name as created_by_display_name,
+            e.registration_opens, e.registration_closes, e.max_participants, e.visibility,
+            e.division_by_gender, e.division_by_category, e.age_brackets,
+            (${PARTICIPANT_COUNT_SQL}) as participant_count,
+            CASE WHEN ep.id IS NOT NULL THEN 1 ELSE 0 END as has_joined, ep.category as joined_category,
+            CASE WHEN wl.id IS NOT NULL THEN (SELECT COUNT(*) FROM event_waitlist w2
+                                              JOIN users wu ON wu.id = w2.user_id
+                                              WHERE w2.event_id = e.id AND w2.id <= wl.id AND wu.deleted_at IS NULL)
+            END as waitlist_position
      FROM events e 
-     JOIN users u ON u.id = e.created_by
+     LEFT JOIN users u ON u.id = e.created_by
      LEFT JOIN event_participants ep ON ep.event_id = e.id AND ep.user_id = ?
-     WHERE e.end_date >= ?
+     LEFT JOIN event_waitlist wl ON wl.event_id = e.id AND wl.user_id = ?
+     WHERE e.status <> 'draft' AND (e.status <> 'closed' OR e.end_date >= date(?, '-30 days'))
+       AND (e.visibility = 'public' OR ep.id IS NOT NULL OR wl.id IS NOT NULL)
+       AND e.deleted_at IS NULL
      ORDER BY e.start_date ASC`,
-    [req.session.userId, today],
-    (err, events) => {
+    [req.session.userId, req.session.userId, todayIn()],
+    (err, rows) => {
       if (err) return res.status(500).json({ error: 'Failed to fetch events' });
       
+      // Whether the caller can sign up, and how many places are left
+      const today = todayIn();
+      const events = rows.map(({ created_by_display_name, ...event }) => ({
+        ...event,
+        created_by_name: event.created_by ? displayName({ id: event.created_by, display_name: created_by_display_name }) : null,
+        registration_problem: registrationProblem(event, today),
+        spots_left: event.max_participants ? Math.max(0, event.max_participants - event.participant_count) : null,
+        can_leave: !!event.has_joined && canLeave(event, today)
+      }));
+      
       // For each joined event, calculate user's rank
       const eventsWithRanking = events.map(event => {
         if (!event.has_joined) {
@@ -602,36 +1452,32 @@ router.get('/api/events', requireAuth, (req, res) => {
         
         return new Promise((resolve) => {
           // Get ranking for this event
-          db.all(
-            `SELECT u.id, 
-                    COALESCE(SUM(e.km_run), 0) as total_km,
-                    COALESCE(SUM(e.hours), 0) as total_hours,
-                    COUNT(DISTINCT e.entry_date) as total_days
-             FROM event_participants ep
-             JOIN users u ON u.id = ep.user_id
-             LEFT JOIN entries e ON e.user_id = u.id AND e.entry_date >= ? AND e.entry_date <= ?
-             WHERE ep.event_id = ?
-             GROUP BY u.id
-             ORDER BY total_km DESC, u.id ASC`,
-            [event.start_date, event.end_date, event.id],
-            (err, ranking) => {
-              if (err) {
-                resolve({ ...event, user_rank: null, total_participants: 0, user_total_km: 0, user_total_hours: 0, user_total_days: 0 });
-                return;
-              }
-              
-              const userRank = ranking.findIndex(r => r.id === req.session.userId) + 1;
-              const userStats = ranking.find(r => r.id === req.session.userId);
-              resolve({ 
-                ...event, 
-                user_rank: userRank > 0 ? userRank : null, 
-                total_participants: ranking.length,
-                user_total_km: userStats ? userStats.total_km : 0,
-                user_total_hours: userStats ? userStats.total_hours : 0,
-                user_total_days: userStats ? userStats.total_days : 0
-              });
+          fetchStandings(event, (err, standings) => {
+            if (err) {
+              resolve({ ...event, user_rank: null, total_participants: 0, user_total_km: 0, user_total_hours: 0, user_total_days: 0, team_rank: null, total_teams: 0, division: null, division_rank: null, division_size: 0 });
+              return;
             }
-          );
+            
+            const { ranking, teams, divisions } = standings;
+            const userStats = ranking.find(r => r.id === req.session.userId);
+            const userTeam = userStats && userStats.team_id ? teams.find(t => t.team_id === userStats.team_id) : null;
+            const userDivision = userStats && userStats.division ? divisions.find(d => d.name === userStats.division) : null;
+            resolve({ 
+              ...event, 
+              user_rank: userStats ? userStats.rank : null, 
+              total_participants: ranking.length,
+              user_total_km: userStats ? userStats.total_km : 0,
+              user_total_hours: userStats ? userStats.total_hours : 0,
+              user_total_days: userStats ? userStats.total_days : 0,
+              team_id: userTeam ? userTeam.team_id : null,
+              team_name: userTeam ? userTeam.name : null,
+              team_rank: userTeam ? userTeam.rank : null,
+              total_teams: teams.length,
+              division: userDivision ? userDivision.name : null,
+              division_rank: userDivision ? userStats.division_rank : null,
+              division_size: userDivision ? userDivision.participant_count : 0
+            });
+          });
         });
       });
       
@@ -651,7 +1497,7 @@ router.get('/api/events/:id/entries', requireAuth, (req, res) => {
   }
   
   // Check if event exists
-  db.get('SELECT * FROM events WHERE id = ?', [eventId], (err, event) => {
+  db.get('SELECT * FROM events WHERE id = ? AND deleted_at IS NULL', [eventId], (err, event) => {
     if (err) return res.status(500).json({ error: 'Database error' });
     if (!event) return res.status(404).json({ error: 'Event not found' });
     
@@ -661,63 +1507,84 @@ router.get('/api/events/:id/entries', requireAuth, (req, res) => {
       if (!participant) return res.status(403).json({ error: 'You are not a participant in this event' });
       
       // Get user's entries for this event
-      const sql = `SELECT e.id, e.entry_date as date, e.km_run as km, e.hours, e.pace,
-                          up.id as upload_id, up.filename, up.originalname, up.mimetype
+      const sql = `SELECT e.id, e.entry_date as date, e.km_run as km, e.hours, e.pace, e.status, e.rejection_reason, e.source,
+                          at.id as activity_id, at.format as activity_format
                    FROM entries e
-                   LEFT JOIN uploads up ON up.entry_id = e.id
-                   WHERE e.user_id = ? AND e.entry_date >= ? AND e.entry_date <= ?
+                   LEFT JOIN activity_tracks at ON at.entry_id = e.id
+                   WHERE e.user_id = ? AND e.event_id = ? AND e.deleted_at IS NULL
                    ORDER BY e.entry_date DESC`;
       
-      db.all(sql, [req.session.userId, event.start_date, event.end_date], (err, rows) => {
+      db.all(sql, [req.session.userId, eventId], (err, rows) => {
         if (err) return res.status(500).json({ error: 'Failed to fetch entries' });
-        res.json({ entries: rows || [], event: event });
+        withAttachments(rows || [], (attachErr, entries) => {
+          if (attachErr) return res.status(500).json({ error: 'Failed to fetch entries' });
+          res.json({ entries, event: runnerEvent(event) });
+        });
       });
     });
   });
 });
 
 // Submit entry for event participants
-router.post('/api/events/:id/entry', requireAuth, entryUpload, (req, res) => {
+router.post('/api/events/:id/entry', requireAuth, audited('entry.create', { table: 'entries', id: createdId('entryId') }), entryUpload, (req, res) => {
   const eventId = Number(req.params.id);
-  const { date, km, hours, pace } = req.body;
+  const screenshots = req.files && req.files.file ? req.files.file : [];
+  const activityFile = req.files && req.files.activity ? req.files.activity[0] : null;
   
   if (!Number.isInteger(eventId) || eventId <= 0) {
     return res.status(400).json({ error: 'Invalid event ID' });
   }
   
-  if (!date) return res.status(400).json({ error: 'Missing date' });
-  if (!req.file) return res.status(400).json({ error: 'Screenshot file is required' });
+  if (!screenshots.length && !activityFile) return res.status(400).json({ error: 'Screenshot or activity file is required' });
   
   // Check if user is participant in this event
   db.get('SELECT id FROM event_participants WHERE event_id = ? AND user_id = ?', [eventId, req.session.userId], (err, participant) => {
     if (err) return res.status(500).json({ error: 'Database error' });
     if (!participant) return res.status(403).json({ error: 'You are not a participant in this event' });
     
-    // Check if entry date is within event period
-    db.get('SELECT start_date, end_date FROM events WHERE id = ?', [eventId], (err, event) => {
+    db.get('SELECT * FROM events WHERE id = ? AND deleted_at IS NULL', [eventId], (err, event) => {
       if (err) return res.status(500).json({ error: 'Database error' });
       if (!event) return res.status(404).json({ error: 'Event not found' });
       
-      if (date < event.start_date || date > event.end_date) {
-        return res.status(400).json({ error: 'Entry date must be within event period' });
+      // Entries are accepted while the event runs and through its grace period
+      const status = lifecycleStatus(event);
+      if (status !== 'active' && status !== 'grace') {
+        removeUploadedFile(activityFile);
+        screenshots.forEach(removeUploadedFile);
+        return res.status(400).json({
+          error: status === 'closed' ? 'Event is closed and no longer accepts entries' : 'Event has not started yet'
+        });
       }
       
-      const kmNum = Number(km) || 0;
-      const hoursNum = Number(hours) || 0;
-      const paceNum = pace === null || pace === undefined || pace === '' ? null : Number(pace);
-
-      const stmt = db.prepare(
-        'INSERT INTO entries (user_id, entry_date, km_run, hours, pace) VALUES (?, ?, ?, ?, ?)'
-      );
-      stmt.run(req.session.userId, date, kmNum, hoursNum, paceNum, function(err) {
-        if (err) return res.status(500).json({ error: 'Failed to save entry' });
-        const entryId = this.lastID;
-        const { filename, originalname, mimetype, size } = req.file;
-        const upStmt = db.prepare('INSERT INTO uploads (user_id, entry_id, filename, originalname, mimetype, size) VALUES (?, ?, ?, ?, ?, ?)');
-        upStmt.run(req.session.userId, entryId, filename, originalname, mimetype, size, function(upErr) {
-          if (upErr) return res.status(500).json({ error: 'Failed to save screenshot' });
-          return res.json({ ok: true, entryId });
-        });
+      readActivityUpload(activityFile, requestTimezone(req)).then(activity => {
+        validateEntry(entryValues(req.body, activity), { userId: req.session.userId }).then(({ values, errors, flags }) => {
+          if (hasErrors(errors)) {
+            removeUploadedFile(activityFile);
+            screenshots.forEach(removeUploadedFile);
+            return res.status(400).json(validationError(errors));
+          }
+          
+          // Check the entry date falls in the part of the event where it counts
+          eventDateError(eventId, req.session.userId, values.date, (checkErr, dateError) => {
+            if (checkErr) return res.status(500).json({ error: 'Database error' });
+            if (dateError) {
+              removeUploadedFile(activityFile);
+              screenshots.forEach(removeUploadedFile);
+              return res.status(400).json(validationError({ date: dateError }));
+            }
+            
+            insertEntryWithFiles(req.session.userId, { ...values, eventId, flags }, screenshots, activityFile, activity, (saveErr, entryId) => {
+              if (saveErr) return res.status(500).json({ error: saveErr.message });
+              refreshAchievements(req.session.userId);
+              emitEntryWebhook('entry.created', entryId);
+              return res.json({ ok: true, entryId, activity: activitySummary(activity), flags });
+            });
+          });
+        }).catch(() => res.status(500).json({ error: 'Database error' }));
+      }).catch(parseErr => {
+        removeUploadedFile(activityFile);
+        screenshots.forEach(removeUploadedFile);
+        res.status(400).json({ error: parseErr.message || 'Could not read activity file' });
       });
     });
   });
@@ -0,0 +1,144 @@
+import { Router } from 'express';
+import crypto from 'crypto';
+import fs from 'fs';
+import multer from 'multer';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getDb } from '../db.js';
+import { requireAuth } from '../middleware.js';
+import { audited, userSubject } from '../auditLog.js';
+import { avatarUrl, canSeeRunner, displayName, profileFromBody } from '../profiles.js';
+
+const router = Router();
+const db = getDb();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const uploadDir = path.join(__dirname, '..', '..', 'uploads');
+
+const AVATAR_TYPES = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp'
+};
+const AVATAR_MAX_BYTES = 2 * 1024 * 1024;
+
+// Avatars get random names: their URL is only handed to those who may see the runner
+const avatarUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => cb(null, uploadDir),
+    filename: (req, file, cb) => cb(null, `avatar-${crypto.randomBytes(16).toString('hex')}${AVATAR_TYPES[file.mimetype]}`)
+  }),
+  limits: { fileSize: AVATAR_MAX_BYTES },
+  fileFilter: (req, file, cb) => cb(null, !!AVATAR_TYPES[file.mimetype])
+}).single('file');
+
+function removeAvatar(filename) {
+  if (filename) fs.unlink(path.join(uploadDir, filename), () => {});
+}
+
+const ownAccount = { table: 'users', id: req => req.session.userId, subject: userSubject };
+
+// Update the caller's profile: display_name, bio, privacy ('public',
+// 'members' or 'anonymous') and birth_date. Fields left out keep their value;
+// null clears display_name, bio and birth_date.
+router.put('/api/me/profile', requireAuth, audited('user.profile', ownAccount), (req, res) => {
+  const { values, error } = profileFromBody(req.body);
+  if (error) return res.status(400).json({ error });
+  const fields = Object.keys(values);
+  if (!fields.length) return res.status(400).json({ error: 'Nothing to update' });
+
+  db.run(
+    `UPDATE users SET ${fields.map(f => `${f} = ?`).join(', ')} WHERE id = ? AND deleted_at IS NULL`,
+    [...fields.map(f => values[f]), req.session.userId],
+    function(err) {
+      if (err) return res.status(500).json({ error: 'Failed to update profile' });
+      if (this.changes === 0) return res.status(404).json({ error: 'User not found' });
+      res.json({ ok: true, ...values });
+    }
+  );
+});
+
+// Upload a new avatar (multipart field "file": PNG, JPEG, GIF or WebP up to 2 MB)
+router.post('/api/me/avatar', requireAuth, audited('user.avatar', ownAccount), (req, res) => {
+  avatarUpload(req, res, (uploadErr) => {
+    if (uploadErr) {
+      return res.status(400).json({ error: uploadErr.code === 'LIMIT_FILE_SIZE' ? 'Avatar must be at most 2 MB' : 'Avatar upload failed' });
+    }
+    if (!req.file) return res.status(400).json({ error: 'Avatar must be a PNG, JPEG, GIF or WebP image' });
+
+    db.get('SELECT avatar_filename FROM users WHERE id = ? AND deleted_at IS NULL', [req.session.userId], (err, user) => {
+      if (err || !user) {
+        removeAvatar(req.file.filename);
+        return res.status(err ? 500 : 404).json({ error: err ? 'Database error' : 'User not found' });
+      }
+      db.run('UPDATE users SET avatar_filename = ? WHERE id = ?', [req.file.filename, req.session.userId], (updateErr) => {
+        if (updateErr) {
+          removeAvatar(req.file.filename);
+          return res.status(500).json({ error: 'Failed to save avatar' });
+        }
+        removeAvatar(user.avatar_filename);
+        res.json({ ok: true, avatar_url: avatarUrl({ avatar_filename: req.file.filename }) });
+      });
+    });
+  });
+});
+
+router.delete('/api/me/avatar', requireAuth, audited('user.avatar_remove', ownAccount), (req, res) => {
+  db.get('SELECT avatar_filename FROM users WHERE id = ? AND deleted_at IS NULL', [req.session.userId], (err, user) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    if (!user || !user.avatar_filename) return res.status(404).json({ error: 'No avatar to remove' });
+    db.run('UPDATE users SET avatar_filename = NULL WHERE id = ?', [req.session.userId], (updateErr) => {
+      if (updateErr) return res.status(500).json({ error: 'Failed to remove avatar' });
+      removeAvatar(user.avatar_filename);
+      res.json({ ok: true });
+    });
+  });
+});
+
+router.get('/api/avatars/:filename', requireAuth, (req, res) => {
+  const { filename } = req.params;
+  if (!/^avatar-[0-9a-f]{32}\.(png|jpg|gif|webp)$/.test(filename)) return res.status(404).json({ error: 'Not found' });
+  db.get('SELECT id FROM users WHERE avatar_filename = ? AND deleted_at IS NULL', [filename], (err, user) => {
+    if (err || !user) return res.status(404).json({ error: 'Not found' });
+    const filePath = path.join(uploadDir, filename);
+    if (!fs.existsSync(filePath)) return res.status(404).json({ error: 'File missing' });
+    const type = Object.keys(AVATAR_TYPES).find(t => filename.endsWith(AVATAR_TYPES[t]));
+    res.setHeader('Content-Type', type);
+    res.setHeader('Cache-Control', 'private, max-age=86400');
+    fs.createReadStream(filePath).pipe(res);
+  });
+});
+
+// A runner's public profile. Runners who are members-only are shown to those
+// who share an event with them; anonymous runners only to themselves and admins.
+router.get('/api/users/:id/profile', requireAuth, (req, res) => {
+  const userId = Number(req.params.id);
+  if (!Number.isInteger(userId) || userId <= 0) return res.status(400).json({ error: 'Invalid user ID' });
+  db.get(
+    `SELECT u.id, u.display_name, u.bio, u.avatar_filename, u.privacy, u.created_at,
+            EXISTS (SELECT 1 FROM event_participants mine
+                    JOIN event_participants theirs ON theirs.event_id = mine.event_id
+                    WHERE mine.user_id = ? AND theirs.user_id = u.id) as shares_event
+     FROM users u
+     WHERE u.id = ? AND u.deleted_at IS NULL`,
+    [req.session.userId, userId],
+    (err, user) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      const viewer = { userId: req.session.userId, isManager: req.session.role === 'admin', isMember: !!(user && user.shares_event) };
+      if (!canSeeRunner(user, viewer)) return res.status(404).json({ error: 'Profile not found' });
+      res.json({
+        profile: {
+          id: user.id,
+          display_name: displayName(user),
+          bio: user.bio,
+          avatar_url: avatarUrl(user),
+          member_since: user.created_at
+        }
+      });
+    }
+  );
+});
+
+export default router;
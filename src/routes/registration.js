@@ -0,0 +1,280 @@
+import { Router } from 'express';
+import { getDb } from '../db.js';
+import { requireAuth, requirePermission } from '../middleware.js';
+import { audited, recordAudit } from '../auditLog.js';
+import {
+  PARTICIPANT_COUNT_SQL,
+  canLeave,
+  inviteLink,
+  joinEvent,
+  newInviteCode,
+  registrationProblem,
+  removeFromEvent
+} from '../eventRegistration.js';
+import { CATEGORIES } from '../rankings.js';
+import { appTimezone, requestTimezone, todayIn } from '../timezone.js';
+
+const router = Router();
+const db = getDb();
+
+function positiveId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function genderProblem(event, user) {
+  if (event.gender_restriction === 'both' || event.gender_restriction === user.gender) return null;
+  return `This event is exclusive to ${event.gender_restriction} participants only. You are ${user.gender}.`;
+}
+
+// The division category a runner picked when joining. Only events with
+// category divisions let them choose; otherwise they run in the event's own.
+function categoryFromBody(event, body) {
+  if (!event.division_by_category || body.category === undefined || body.category === null || body.category === '') {
+    return { category: event.category };
+  }
+  if (!CATEGORIES.includes(body.category)) return { error: 'Invalid category' };
+  return { category: body.category };
+}
+
+// The runner's account with where they stand in the event. who is a user id,
+// or { email } to look the runner up by their email.
+function loadMember(eventId, who, cb) {
+  const byEmail = typeof who === 'object';
+  db.get(
+    `SELECT u.id, u.email, u.gender, u.timezone,
+            (SELECT id FROM event_participants WHERE event_id = ? AND user_id = u.id) as participant_id,
+            (SELECT id FROM event_waitlist WHERE event_id = ? AND user_id = u.id) as waitlist_id
+     FROM users u
+     WHERE ${byEmail ? 'u.email = ?' : 'u.id = ?'} AND u.deleted_at IS NULL`,
+    [eventId, eventId, byEmail ? who.email : who],
+    cb
+  );
+}
+
+function loadEvent(req, res, cb) {
+  const eventId = positiveId(req.params.id);
+  if (!eventId) return res.status(400).json({ error: 'Invalid event ID' });
+  db.get('SELECT * FROM events WHERE id = ? AND deleted_at IS NULL', [eventId], (err, event) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    if (!event) return res.status(404).json({ error: 'Event not found' });
+    cb(event);
+  });
+}
+
+// Logs a join (or a place on the waitlist) with the row it created
+function auditJoin(req, action, result, subjectUserId) {
+  const table = result.waitlisted ? 'event_waitlist' : 'event_participants';
+  const id = result.waitlisted ? result.waitlistId : result.participantId;
+  db.get(`SELECT * FROM ${table} WHERE id = ?`, [id], (err, row) => {
+    recordAudit(req, {
+      action: result.waitlisted ? 'event.waitlist_join' : action,
+      targetType: table,
+      targetId: id,
+      subjectUserId,
+      after: err ? null : row
+    });
+  });
+}
+
+const ALREADY_JOINED = {
+  participant: 'You have already joined this event',
+  waitlist: 'You are already on the waitlist for this event'
+};
+
+function joinResponse(res, result) {
+  if (result.waitlisted) return res.json({ ok: true, waitlisted: true, position: result.position });
+  res.json({ ok: true, participantId: result.participantId });
+}
+
+// Sign up for an event. Private events need invite_code. When the event is
+// full the runner goes on its waitlist instead ({ waitlisted: true, position }).
+router.post('/api/events/:id/join', requireAuth, (req, res) => {
+  loadEvent(req, res, (event) => {
+    if (event.status === 'draft') return res.status(404).json({ error: 'Event not found' });
+    const problem = registrationProblem(event);
+    if (problem) return res.status(400).json({ error: problem });
+    if (event.visibility === 'private' && req.body.invite_code !== event.invite_code) {
+      return res.status(403).json({ error: 'This event is private. Use the invite link to join it.' });
+    }
+    const { category, error } = categoryFromBody(event, req.body);
+    if (error) return res.status(400).json({ error });
+
+    loadMember(event.id, req.session.userId, (err, user) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      if (!user) return res.status(404).json({ error: 'User not found' });
+      if (user.participant_id) return res.status(400).json({ error: ALREADY_JOINED.participant });
+      if (user.waitlist_id) return res.status(400).json({ error: ALREADY_JOINED.waitlist });
+      const gender = genderProblem(event, user);
+      if (gender) return res.status(403).json({ error: gender });
+
+      // joined_on is the runner's local day, which decides which entries
+      // count under count_entries_from = 'joined_at'
+      joinEvent(event, user, { joinedOn: todayIn(requestTimezone(req)), category })
+        .then(result => {
+          // A second join sent at the same time
+          if (result.already) return res.status(400).json({ error: ALREADY_JOINED[result.already] });
+          auditJoin(req, 'event.join', result, user.id);
+          joinResponse(res, result);
+        })
+        .catch(() => res.status(500).json({ error: 'Failed to join event' }));
+    });
+  });
+});
+
+// Leave an event before it starts, or give up a place on its waitlist. A
+// freed place goes to the first runner on the waitlist.
+router.post('/api/events/:id/leave', requireAuth, (req, res) => {
+  loadEvent(req, res, (event) => {
+    loadMember(event.id, req.session.userId, (err, user) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      if (!user || (!user.participant_id && !user.waitlist_id)) {
+        return res.status(400).json({ error: 'You have not joined this event' });
+      }
+      if (user.participant_id && !canLeave(event)) {
+        return res.status(400).json({ error: 'The event has already started. Ask an admin to remove you.' });
+      }
+      removeFromEvent(event.id, user.id)
+        .then(removed => {
+          if (!removed) return res.status(400).json({ error: 'You have not joined this event' });
+          recordAudit(req, {
+            action: removed.participant ? 'event.leave' : 'event.waitlist_leave',
+            targetType: removed.participant ? 'event_participants' : 'event_waitlist',
+            targetId: (removed.participant || removed.waitlist).id,
+            subjectUserId: user.id,
+            before: removed.participant || removed.waitlist
+          });
+          res.json({ ok: true, left: removed.participant ? 'event' : 'waitlist' });
+        })
+        .catch(() => res.status(500).json({ error: 'Failed to leave event' }));
+    });
+  });
+});
+
+// The event an invite code belongs to, and whether the caller can join it
+router.get('/api/events/invite/:code', requireAuth, (req, res) => {
+  db.get(
+    `SELECT e.id, e.name, e.start_date, e.end_date, e.category, e.gender_restriction, e.km_goal, e.status,
+            e.is_ended, e.grace_days, e.registration_opens, e.registration_closes, e.max_participants, e.visibility,
+            e.division_by_gender, e.division_by_category, e.age_brackets,
+            (${PARTICIPANT_COUNT_SQL}) as participant_count
+     FROM events e
+     WHERE e.invite_code = ? AND e.status <> 'draft' AND e.deleted_at IS NULL`,
+    [String(req.params.code)],
+    (err, event) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      if (!event) return res.status(404).json({ error: 'This invite link is not valid' });
+      loadMember(event.id, req.session.userId, (memberErr, user) => {
+        if (memberErr || !user) return res.status(500).json({ error: 'Database error' });
+        const { is_ended, grace_days, ...shown } = event;
+        res.json({
+          event: shown,
+          has_joined: !!user.participant_id,
+          on_waitlist: !!user.waitlist_id,
+          registration_problem: registrationProblem(event) || genderProblem(event, user),
+          full: !!event.max_participants && event.participant_count >= event.max_participants
+        });
+      });
+    }
+  );
+});
+
+// Participants and the waitlist in order, with the invite link of a private event
+router.get('/api/admin/events/:id/participants', requirePermission('events.manage', { owner: 'events' }), (req, res) => {
+  loadEvent(req, res, (event) => {
+    db.all(
+      `SELECT ep.id, u.id as user_id, u.email, u.display_name, u.gender, u.birth_date, ep.category, ep.joined_at, ep.joined_on
+       FROM event_participants ep
+       JOIN users u ON u.id = ep.user_id
+       WHERE ep.event_id = ? AND u.deleted_at IS NULL
+       ORDER BY ep.joined_at ASC, ep.id ASC`,
+      [event.id],
+      (err, participants) => {
+        if (err) return res.status(500).json({ error: 'Failed to fetch participants' });
+        db.all(
+          `SELECT w.id, u.id as user_id, u.email, u.display_name, u.gender, u.birth_date, w.category, w.created_at
+           FROM event_waitlist w
+           JOIN users u ON u.id = w.user_id
+           WHERE w.event_id = ? AND u.deleted_at IS NULL
+           ORDER BY w.id ASC`,
+          [event.id],
+          (waitErr, waitlist) => {
+            if (waitErr) return res.status(500).json({ error: 'Failed to fetch participants' });
+            res.json({
+              participants: participants || [],
+              waitlist: (waitlist || []).map((w, i) => ({ ...w, position: i + 1 })),
+              max_participants: event.max_participants,
+              invite_code: event.invite_code,
+              invite_link: event.invite_code ? inviteLink(event.invite_code) : null
+            });
+          }
+        );
+      }
+    );
+  });
+});
+
+// Add a runner by hand, by user_id or email (organizers don't get the user
+// list). Skips the registration window, the cap and the invite code, but not
+// the gender restriction.
+router.post('/api/admin/events/:id/participants', requirePermission('events.manage', { owner: 'events' }), (req, res) => {
+  loadEvent(req, res, (event) => {
+    if (event.status === 'closed') return res.status(400).json({ error: 'Event is closed and its results are final' });
+    const userId = positiveId(req.body.user_id);
+    const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+    if (!userId && !email) return res.status(400).json({ error: 'Give a user ID or email' });
+    const { category, error } = categoryFromBody(event, req.body);
+    if (error) return res.status(400).json({ error });
+    loadMember(event.id, userId || { email }, (err, user) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      if (!user) return res.status(404).json({ error: 'User not found' });
+      if (user.participant_id) return res.status(400).json({ error: 'Already a participant' });
+      const gender = genderProblem(event, user);
+      if (gender) return res.status(400).json({ error: gender });
+      joinEvent(event, user, { joinedOn: todayIn(user.timezone || appTimezone()), category, ignoreCapacity: true })
+        .then(result => {
+          if (result.already) return res.status(400).json({ error: 'Already a participant' });
+          auditJoin(req, 'event.participant_add', result, user.id);
+          joinResponse(res, result);
+        })
+        .catch(() => res.status(500).json({ error: 'Failed to add participant' }));
+    });
+  });
+});
+
+// Remove a runner from the event or its waitlist. Their entries stay theirs
+// but no longer count for the event.
+router.delete('/api/admin/events/:id/participants/:userId', requirePermission('events.manage', { owner: 'events' }), (req, res) => {
+  loadEvent(req, res, (event) => {
+    if (event.status === 'closed') return res.status(400).json({ error: 'Event is closed and its results are final' });
+    const userId = positiveId(req.params.userId);
+    if (!userId) return res.status(400).json({ error: 'Invalid user ID' });
+    removeFromEvent(event.id, userId)
+      .then(removed => {
+        if (!removed) return res.status(404).json({ error: 'Not a participant or on the waitlist' });
+        recordAudit(req, {
+          action: removed.participant ? 'event.participant_remove' : 'event.waitlist_remove',
+          targetType: removed.participant ? 'event_participants' : 'event_waitlist',
+          targetId: (removed.participant || removed.waitlist).id,
+          subjectUserId: userId,
+          before: removed.participant || removed.waitlist
+        });
+        res.json({ ok: true, removed: removed.participant ? 'participant' : 'waitlist' });
+      })
+      .catch(() => res.status(500).json({ error: 'Failed to remove participant' }));
+  });
+});
+
+// A new invite code for a private event; links with the old one stop working
+router.post('/api/admin/events/:id/invite-code', requirePermission('events.manage', { owner: 'events' }), audited('event.invite_code', { table: 'events' }), (req, res) => {
+  loadEvent(req, res, (event) => {
+    if (event.visibility !== 'private') return res.status(400).json({ error: 'Only private events have an invite code' });
+    const code = newInviteCode();
+    db.run('UPDATE events SET invite_code = ? WHERE id = ?', [code, event.id], (err) => {
+      if (err) return res.status(500).json({ error: 'Failed to create invite code' });
+      res.json({ ok: true, invite_code: code, invite_link: inviteLink(code) });
+    });
+  });
+});
+
+export default router;
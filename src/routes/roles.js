@@ -0,0 +1,38 @@
+import { Router } from 'express';
+import { getDb } from '../db.js';
+import { requireAdmin } from '../middleware.js';
+import { audited, userSubject } from '../auditLog.js';
+import { ROLES, ROLE_DESCRIPTIONS, roleFromBody, rolePermissions } from '../roles.js';
+
+const router = Router();
+const db = getDb();
+
+// The roles an admin can assign, with what each may do
+router.get('/api/admin/roles', requireAdmin, (req, res) => {
+  res.json({
+    roles: ROLES.map(role => ({ role, description: ROLE_DESCRIPTIONS[role], permissions: rolePermissions(role) }))
+  });
+});
+
+// Give a user another role. It applies to their open sessions and API tokens
+// from their next request. Admins can't change their own role or that of the
+// primary admin account, so there is always an admin left.
+router.put('/api/admin/users/:id/role', requireAdmin, audited('user.role', { table: 'users', subject: userSubject }), (req, res) => {
+  const targetId = Number(req.params.id);
+  if (!Number.isInteger(targetId) || targetId <= 0) return res.status(400).json({ error: 'Invalid user id' });
+  const role = roleFromBody(req.body);
+  if (!role) return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+  if (targetId === req.session.userId) return res.status(400).json({ error: 'Cannot change your own role' });
+
+  db.get('SELECT email, role FROM users WHERE id = ? AND deleted_at IS NULL', [targetId], (err, row) => {
+    if (err) return res.status(500).json({ error: 'Lookup failed' });
+    if (!row) return res.status(404).json({ error: 'User not found' });
+    if (row.email === 'admin') return res.status(400).json({ error: 'Cannot change the role of the primary admin' });
+    db.run('UPDATE users SET role = ? WHERE id = ?', [role, targetId], (updErr) => {
+      if (updErr) return res.status(500).json({ error: 'Failed to change role' });
+      res.json({ ok: true, role, previous_role: row.role });
+    });
+  });
+});
+
+export default router;
@@ -0,0 +1,18 @@
+import { Router } from 'express';
+import { requireAuth } from '../middleware.js';
+import { computeStats, fetchUserEntries } from '../personalStats.js';
+import { requestTimezone, todayIn } from '../timezone.js';
+
+const router = Router();
+
+// The logged-in user's totals, streaks, personal bests and pace trend.
+// Periods and streak days follow the user's timezone.
+router.get('/api/stats', requireAuth, (req, res) => {
+  const tz = requestTimezone(req);
+  fetchUserEntries(req.session.userId, {}, (err, entries) => {
+    if (err) return res.status(500).json({ error: 'Failed to compute stats' });
+    res.json({ timezone: tz, ...computeStats(entries, todayIn(tz)) });
+  });
+});
+
+export default router;
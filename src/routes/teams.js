@@ -0,0 +1,241 @@
+import { Router } from 'express';
+import { getDb, transaction } from '../db.js';
+import { requireAuth, requireAdmin } from '../middleware.js';
+import { audited, createdId } from '../auditLog.js';
+
+const router = Router();
+const db = getDb();
+
+function positiveId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// event_id is optional everywhere: without it the membership is the user's default team
+function eventScope(value) {
+  if (value === undefined || value === null || value === '') return { eventId: null };
+  const eventId = positiveId(value);
+  return eventId ? { eventId } : { error: 'Invalid event ID' };
+}
+
+// Replaces the user's membership for that scope (default team or one event).
+// Either both happen or neither, so a failed insert doesn't leave the user teamless.
+function setMembership(teamId, userId, eventId, cb) {
+  transaction(async (tx) => {
+    await tx.run('DELETE FROM team_members WHERE user_id = ? AND IFNULL(event_id, 0) = ?', [userId, eventId || 0]);
+    const { lastID } = await tx.run('INSERT INTO team_members (team_id, user_id, event_id) VALUES (?, ?, ?)', [teamId, userId, eventId]);
+    return lastID;
+  }).then(id => cb(null, id), err => cb(err));
+}
+
+// Event teams can only be changed for participants, and only until the event has closed
+function checkEventTeamChange(eventId, userId, cb) {
+  if (!eventId) return cb(null);
+  db.get('SELECT id, status FROM events WHERE id = ? AND deleted_at IS NULL', [eventId], (err, event) => {
+    if (err) return cb({ status: 500, error: 'Database error' });
+    if (!event) return cb({ status: 404, error: 'Event not found' });
+    if (event.status === 'closed') return cb({ status: 400, error: 'Event has already ended' });
+    db.get('SELECT id FROM event_participants WHERE event_id = ? AND user_id = ?', [eventId, userId], (err, participant) => {
+      if (err) return cb({ status: 500, error: 'Database error' });
+      if (!participant) return cb({ status: 403, error: 'Not a participant in this event' });
+      cb(null);
+    });
+  });
+}
+
+// Audit snapshot of a user's team for the scope in the request (event_id in
+// the body or query string, none for the default team)
+function membershipAudit(action, userOf) {
+  return audited(action, {
+    type: 'team_members',
+    id: () => null,
+    subject: (row, req) => userOf(req),
+    load: (req, id, cb) => {
+      const userId = userOf(req);
+      const { eventId } = eventScope(req.body.event_id !== undefined ? req.body.event_id : req.query.event_id);
+      if (!userId) return cb(null, null);
+      db.get(
+        `SELECT tm.team_id, t.name as team_name, tm.user_id, tm.event_id
+         FROM team_members tm
+         JOIN teams t ON t.id = tm.team_id
+         WHERE tm.user_id = ? AND IFNULL(tm.event_id, 0) = ?`,
+        [userId, eventId || 0],
+        cb
+      );
+    }
+  });
+}
+
+// Teams with their default-member counts, plus the caller's memberships
+router.get('/api/teams', requireAuth, (req, res) => {
+  db.all(
+    `SELECT t.id, t.name, COUNT(tm.id) as member_count
+     FROM teams t
+     LEFT JOIN team_members tm ON tm.team_id = t.id AND tm.event_id IS NULL
+       AND tm.user_id NOT IN (SELECT id FROM users WHERE deleted_at IS NOT NULL)
+     GROUP BY t.id, t.name
+     ORDER BY t.name COLLATE NOCASE ASC`,
+    [],
+    (err, teams) => {
+      if (err) return res.status(500).json({ error: 'Failed to fetch teams' });
+      db.all(
+        `SELECT tm.team_id, t.name as team_name, tm.event_id, tm.joined_at
+         FROM team_members tm
+         JOIN teams t ON t.id = tm.team_id
+         WHERE tm.user_id = ?
+           AND (tm.event_id IS NULL OR tm.event_id NOT IN (SELECT id FROM events WHERE deleted_at IS NOT NULL))`,
+        [req.session.userId],
+        (err, memberships) => {
+          if (err) return res.status(500).json({ error: 'Failed to fetch teams' });
+          res.json({ teams: teams || [], memberships: memberships || [] });
+        }
+      );
+    }
+  );
+});
+
+// Join a team as default team, or for one event with { event_id }
+router.post('/api/teams/:id/join', requireAuth, membershipAudit('team.join', req => req.session.userId), (req, res) => {
+  const teamId = positiveId(req.params.id);
+  if (!teamId) return res.status(400).json({ error: 'Invalid team ID' });
+  const { eventId, error } = eventScope(req.body.event_id);
+  if (error) return res.status(400).json({ error });
+
+  db.get('SELECT id FROM teams WHERE id = ?', [teamId], (err, team) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    if (!team) return res.status(404).json({ error: 'Team not found' });
+
+    checkEventTeamChange(eventId, req.session.userId, (eventErr) => {
+      if (eventErr) return res.status(eventErr.status).json({ error: eventErr.error });
+      setMembership(teamId, req.session.userId, eventId, (err) => {
+        if (err) return res.status(500).json({ error: 'Failed to join team' });
+        res.json({ ok: true, teamId, eventId });
+      });
+    });
+  });
+});
+
+// Leave the default team, or an event team with { event_id }
+router.post('/api/teams/leave', requireAuth, membershipAudit('team.leave', req => req.session.userId), (req, res) => {
+  const { eventId, error } = eventScope(req.body.event_id);
+  if (error) return res.status(400).json({ error });
+
+  checkEventTeamChange(eventId, req.session.userId, (eventErr) => {
+    if (eventErr) return res.status(eventErr.status).json({ error: eventErr.error });
+    db.run(
+      'DELETE FROM team_members WHERE user_id = ? AND IFNULL(event_id, 0) = ?',
+      [req.session.userId, eventId || 0],
+      function(err) {
+        if (err) return res.status(500).json({ error: 'Failed to leave team' });
+        if (this.changes === 0) return res.status(404).json({ error: 'You are not in a team' });
+        res.json({ ok: true });
+      }
+    );
+  });
+});
+
+// Admin team management
+router.get('/api/admin/teams', requireAdmin, (req, res) => {
+  db.all('SELECT id, name, created_at FROM teams ORDER BY name COLLATE NOCASE ASC', [], (err, teams) => {
+    if (err) return res.status(500).json({ error: 'Failed to fetch teams' });
+    db.all(
+      `SELECT tm.team_id, tm.user_id, u.email, tm.event_id, ev.name as event_name, tm.joined_at
+       FROM team_members tm
+       JOIN users u ON u.id = tm.user_id
+       LEFT JOIN events ev ON ev.id = tm.event_id
+       WHERE u.deleted_at IS NULL AND (tm.event_id IS NULL OR ev.deleted_at IS NULL)
+       ORDER BY u.email ASC`,
+      [],
+      (err, members) => {
+        if (err) return res.status(500).json({ error: 'Failed to fetch teams' });
+        const byTeam = {};
+        for (const m of members || []) (byTeam[m.team_id] = byTeam[m.team_id] || []).push(m);
+        res.json({ teams: (teams || []).map(t => ({ ...t, members: byTeam[t.id] || [] })) });
+      }
+    );
+  });
+});
+
+router.post('/api/admin/teams', requireAdmin, audited('team.create', { table: 'teams', id: createdId('teamId') }), (req, res) => {
+  const name = String(req.body.name || '').trim();
+  if (!name) return res.status(400).json({ error: 'Team name is required' });
+  db.run('INSERT INTO teams (name, created_by) VALUES (?, ?)', [name, req.session.userId], function(err) {
+    if (err) return res.status(400).json({ error: 'A team with that name already exists' });
+    res.json({ ok: true, teamId: this.lastID });
+  });
+});
+
+router.put('/api/admin/teams/:id', requireAdmin, audited('team.update', { table: 'teams' }), (req, res) => {
+  const teamId = positiveId(req.params.id);
+  if (!teamId) return res.status(400).json({ error: 'Invalid team ID' });
+  const name = String(req.body.name || '').trim();
+  if (!name) return res.status(400).json({ error: 'Team name is required' });
+  db.run('UPDATE teams SET name = ? WHERE id = ?', [name, teamId], function(err) {
+    if (err) return res.status(400).json({ error: 'A team with that name already exists' });
+    if (this.changes === 0) return res.status(404).json({ error: 'Team not found' });
+    res.json({ ok: true });
+  });
+});
+
+router.delete('/api/admin/teams/:id', requireAdmin, audited('team.delete', { table: 'teams' }), (req, res) => {
+  const teamId = positiveId(req.params.id);
+  if (!teamId) return res.status(400).json({ error: 'Invalid team ID' });
+  // The members only go with the team
+  transaction(async (tx) => {
+    const { changes } = await tx.run('DELETE FROM teams WHERE id = ?', [teamId]);
+    if (changes > 0) await tx.run('DELETE FROM team_members WHERE team_id = ?', [teamId]);
+    return changes;
+  })
+    .then(changes => {
+      if (changes === 0) return res.status(404).json({ error: 'Team not found' });
+      res.json({ ok: true });
+    })
+    .catch(() => res.status(500).json({ error: 'Failed to delete team' }));
+});
+
+// Put a user in a team { user_id, event_id? }, moving them out of any other team in that scope
+router.post('/api/admin/teams/:id/members', requireAdmin, membershipAudit('team.member_add', req => positiveId(req.body.user_id)), (req, res) => {
+  const teamId = positiveId(req.params.id);
+  const userId = positiveId(req.body.user_id);
+  if (!teamId) return res.status(400).json({ error: 'Invalid team ID' });
+  if (!userId) return res.status(400).json({ error: 'Invalid user id' });
+  const { eventId, error } = eventScope(req.body.event_id);
+  if (error) return res.status(400).json({ error });
+
+  db.get(
+    'SELECT (SELECT id FROM teams WHERE id = ?) as team_id, (SELECT id FROM users WHERE id = ? AND deleted_at IS NULL) as user_id',
+    [teamId, userId],
+    (err, found) => {
+      if (err) return res.status(500).json({ error: 'Database error' });
+      if (!found.team_id) return res.status(404).json({ error: 'Team not found' });
+      if (!found.user_id) return res.status(404).json({ error: 'User not found' });
+      checkEventTeamChange(eventId, userId, (eventErr) => {
+        if (eventErr) return res.status(eventErr.status).json({ error: eventErr.error });
+        setMembership(teamId, userId, eventId, (err) => {
+          if (err) return res.status(500).json({ error: 'Failed to add member' });
+          res.json({ ok: true });
+        });
+      });
+    }
+  );
+});
+
+router.delete('/api/admin/teams/:id/members/:userId', requireAdmin, membershipAudit('team.member_remove', req => positiveId(req.params.userId)), (req, res) => {
+  const teamId = positiveId(req.params.id);
+  const userId = positiveId(req.params.userId);
+  if (!teamId || !userId) return res.status(400).json({ error: 'Invalid team or user ID' });
+  const { eventId, error } = eventScope(req.query.event_id);
+  if (error) return res.status(400).json({ error });
+
+  db.run(
+    'DELETE FROM team_members WHERE team_id = ? AND user_id = ? AND IFNULL(event_id, 0) = ?',
+    [teamId, userId, eventId || 0],
+    function(err) {
+      if (err) return res.status(500).json({ error: 'Failed to remove member' });
+      if (this.changes === 0) return res.status(404).json({ error: 'Membership not found' });
+      res.json({ ok: true });
+    }
+  );
+});
+
+export default router;
@@ -0,0 +1,47 @@
+import { Router } from 'express';
+import { requireAuth } from '../middleware.js';
+import { audited } from '../auditLog.js';
+import { TOKEN_SCOPES, createApiToken, listApiTokens, revokeApiToken, scopesFromBody } from '../apiTokens.js';
+import { isStaff } from '../roles.js';
+
+const router = Router();
+
+// Token management needs a logged-in session; a token can't mint or revoke tokens
+
+// The user's tokens (never the token itself) and the scopes they may grant
+router.get('/api/tokens', requireAuth, (req, res) => {
+  listApiTokens(req.session.userId, (err, tokens) => {
+    if (err) return res.status(500).json({ error: 'Failed to fetch tokens' });
+    const scopes = TOKEN_SCOPES
+      .filter(s => !s.staffOnly || isStaff(req.session.role))
+      .map(({ scope, description }) => ({ scope, description }));
+    res.json({ tokens, scopes });
+  });
+});
+
+// Returns the plain token once; it can't be shown again
+router.post('/api/tokens', requireAuth, audited('token.create', { table: 'api_tokens', id: (req, body) => (body && body.token ? body.token.id : null) }), (req, res) => {
+  const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+  if (!name) return res.status(400).json({ error: 'Token name is required' });
+  if (name.length > 100) return res.status(400).json({ error: 'Token name is too long' });
+  const { scopes, error } = scopesFromBody(req.body.scopes, req.session.role);
+  if (error) return res.status(400).json({ error });
+
+  createApiToken(req.session.userId, name, scopes, (err, token, limitReached) => {
+    if (err) return res.status(500).json({ error: 'Failed to create token' });
+    if (limitReached) return res.status(400).json({ error: 'Too many tokens; revoke one first' });
+    res.json({ ok: true, token });
+  });
+});
+
+router.delete('/api/tokens/:id', requireAuth, audited('token.revoke', { table: 'api_tokens' }), (req, res) => {
+  const tokenId = Number(req.params.id);
+  if (!Number.isInteger(tokenId) || tokenId <= 0) return res.status(400).json({ error: 'Invalid token ID' });
+  revokeApiToken(req.session.userId, tokenId, (err, deleted) => {
+    if (err) return res.status(500).json({ error: 'Failed to revoke token' });
+    if (!deleted) return res.status(404).json({ error: 'Token not found' });
+    res.json({ ok: true });
+  });
+});
+
+export default router;
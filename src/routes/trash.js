@@ -0,0 +1,45 @@
+import { Router } from 'express';
+import { requireAdmin } from '../middleware.js';
+import { refreshAchievements } from '../achievements.js';
+import { audited, userSubject } from '../auditLog.js';
+import { runLifecycle } from '../eventLifecycle.js';
+import { TRASH_TYPES, fetchTrash, restoreRecord } from '../trash.js';
+
+const router = Router();
+
+function positiveId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+// Deleted entries, users and events with the time each will be purged
+router.get('/api/admin/trash', requireAdmin, (req, res) => {
+  fetchTrash()
+    .then(trash => res.json(trash))
+    .catch(() => res.status(500).json({ error: 'Failed to fetch trash' }));
+});
+
+// Catches up on whatever the restored record missed while it was in the trash:
+// milestone badges for runners, lifecycle changes for events
+function afterRestore(table, row) {
+  if (table === 'entries') refreshAchievements(row.user_id);
+  if (table === 'users') refreshAchievements(row.id);
+  if (table === 'events') return runLifecycle();
+  return Promise.resolve();
+}
+
+for (const [table, { noun }] of Object.entries(TRASH_TYPES)) {
+  const subject = table === 'users' ? userSubject : undefined;
+  router.post(`/api/admin/trash/${table}/:id/restore`, requireAdmin, audited(`${noun}.restore`, { table, subject }), (req, res) => {
+    const id = positiveId(req.params.id);
+    if (!id) return res.status(400).json({ error: 'Invalid ID' });
+    restoreRecord(table, id)
+      .then(row => {
+        if (!row) return res.status(404).json({ error: 'Not found in the trash' });
+        return afterRestore(table, row).then(() => res.json({ ok: true }));
+      })
+      .catch(() => res.status(500).json({ error: 'Failed to restore' }));
+  });
+}
+
+export default router;
@@ -0,0 +1,127 @@
+import { Router } from 'express';
+import { getDb, transaction } from '../db.js';
+import { requireAdmin } from '../middleware.js';
+import { audited, createdId } from '../auditLog.js';
+import { WEBHOOK_EVENTS, parseEvents, redeliver, webhookFromBody } from '../webhooks.js';
+
+const router = Router();
+const db = getDb();
+
+const DELIVERY_PAGE_SIZE = 50;
+
+function positiveId(value) {
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : null;
+}
+
+function webhookRow(row) {
+  return { ...row, events: parseEvents(row.events), active: !!row.active };
+}
+
+router.get('/api/admin/webhooks', requireAdmin, (req, res) => {
+  db.all(
+    `SELECT w.id, w.url, w.secret, w.events, w.description, w.active, w.created_at, u.email as created_by_email,
+            (SELECT d.status FROM webhook_deliveries d WHERE d.webhook_id = w.id ORDER BY d.id DESC LIMIT 1) as last_status
+     FROM webhooks w
+     LEFT JOIN users u ON u.id = w.created_by
+     ORDER BY w.id ASC`,
+    [],
+    (err, rows) => {
+      if (err) return res.status(500).json({ error: 'Failed to fetch webhooks' });
+      res.json({ webhooks: (rows || []).map(webhookRow), events: WEBHOOK_EVENTS });
+    }
+  );
+});
+
+// { url, events[], description?, secret?, active? }. A secret is generated when none is given.
+router.post('/api/admin/webhooks', requireAdmin, audited('webhook.create', { table: 'webhooks', id: createdId('webhookId') }), (req, res) => {
+  const { values, error } = webhookFromBody(req.body);
+  if (error) return res.status(400).json({ error });
+  db.run(
+    'INSERT INTO webhooks (url, secret, events, description, active, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+    [values.url, values.secret, values.events, values.description, values.active, req.session.userId],
+    function(err) {
+      if (err) return res.status(500).json({ error: 'Failed to create webhook' });
+      res.json({ ok: true, webhookId: this.lastID, secret: values.secret });
+    }
+  );
+});
+
+router.put('/api/admin/webhooks/:id', requireAdmin, audited('webhook.update', { table: 'webhooks' }), (req, res) => {
+  const webhookId = positiveId(req.params.id);
+  if (!webhookId) return res.status(400).json({ error: 'Invalid webhook ID' });
+  db.get('SELECT * FROM webhooks WHERE id = ?', [webhookId], (err, current) => {
+    if (err) return res.status(500).json({ error: 'Database error' });
+    if (!current) return res.status(404).json({ error: 'Webhook not found' });
+    const { values, error } = webhookFromBody(req.body, current);
+    if (error) return res.status(400).json({ error });
+    db.run(
+      'UPDATE webhooks SET url = ?, secret = ?, events = ?, description = ?, active = ? WHERE id = ?',
+      [values.url, values.secret, values.events, values.description, values.active, webhookId],
+      (updErr) => {
+        if (updErr) return res.status(500).json({ error: 'Failed to update webhook' });
+        res.json({ ok: true });
+      }
+    );
+  });
+});
+
+router.delete('/api/admin/webhooks/:id', requireAdmin, audited('webhook.delete', { table: 'webhooks' }), (req, res) => {
+  const webhookId = positiveId(req.params.id);
+  if (!webhookId) return res.status(400).json({ error: 'Invalid webhook ID' });
+  // The delivery log only goes with the webhook
+  transaction(async (tx) => {
+    const { changes } = await tx.run('DELETE FROM webhooks WHERE id = ?', [webhookId]);
+    if (changes > 0) await tx.run('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [webhookId]);
+    return changes;
+  })
+    .then(changes => {
+      if (changes === 0) return res.status(404).json({ error: 'Webhook not found' });
+      res.json({ ok: true });
+    })
+    .catch(() => res.status(500).json({ error: 'Failed to delete webhook' }));
+});
+
+// Delivery log, newest first. ?before=<delivery id> pages back.
+router.get('/api/admin/webhooks/:id/deliveries', requireAdmin, (req, res) => {
+  const webhookId = positiveId(req.params.id);
+  if (!webhookId) return res.status(400).json({ error: 'Invalid webhook ID' });
+  const before = positiveId(req.query.before);
+  db.all(
+    `SELECT id, event, payload, status, attempts, response_status, last_error, next_attempt_at,
+            redelivery_of, created_at, delivered_at
+     FROM webhook_deliveries
+     WHERE webhook_id = ? AND (? IS NULL OR id < ?)
+     ORDER BY id DESC
+     LIMIT ?`,
+    [webhookId, before, before, DELIVERY_PAGE_SIZE],
+    (err, rows) => {
+      if (err) return res.status(500).json({ error: 'Failed to fetch deliveries' });
+      res.json({ deliveries: rows || [] });
+    }
+  );
+});
+
+// Sends a logged delivery again, as a new delivery with the same body
+router.post('/api/admin/webhooks/deliveries/:id/redeliver', requireAdmin, audited('webhook.redeliver', {
+  table: 'webhook_deliveries',
+  id: (req, body) => (body && body.delivery ? body.delivery.id : null)
+}), (req, res) => {
+  const deliveryId = positiveId(req.params.id);
+  if (!deliveryId) return res.status(400).json({ error: 'Invalid delivery ID' });
+  redeliver(deliveryId)
+    .then(newId => {
+      if (!newId) return res.status(404).json({ error: 'Delivery not found' });
+      db.get(
+        'SELECT id, status, attempts, response_status, last_error FROM webhook_deliveries WHERE id = ?',
+        [newId],
+        (err, delivery) => {
+          if (err) return res.status(500).json({ error: 'Database error' });
+          res.json({ ok: true, delivery });
+        }
+      );
+    })
+    .catch(() => res.status(500).json({ error: 'Failed to redeliver' }));
+});
+
+export default router;
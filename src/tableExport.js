@@ -0,0 +1,48 @@
+import ExcelJS from 'exceljs';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Spreadsheet apps run cells that start with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let str = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(str)) str = `'${str}`;
+  if (/[",\r\n]/.test(str)) str = `"${str.replace(/"/g, '""')}"`;
+  return str;
+}
+
+// Streams rows to the response as CSV or XLSX.
+// columns: [{ key, header, width? }]; rows are plain objects keyed by column key.
+// Returns { write(row), end(), abort() }.
+export function createTableWriter(res, format, filename, columns) {
+  const ext = format === 'xlsx' ? 'xlsx' : 'csv';
+  res.setHeader('Content-Disposition', `attachment; filename="${filename.replaceAll('"', '')}.${ext}"`);
+
+  if (format === 'xlsx') {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet('Export');
+    sheet.columns = columns.map(c => ({ header: c.header, key: c.key, width: c.width || 16 }));
+    sheet.getRow(1).font = { bold: true };
+    return {
+      write: row => sheet.addRow(row).commit(),
+      // A failed write cuts the download off rather than ending it as if complete
+      end: () => {
+        sheet.commit();
+        return workbook.commit().catch(() => res.destroy());
+      },
+      abort: () => res.destroy()
+    };
+  }
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  // BOM so Excel opens UTF-8 names correctly
+  res.write('\uFEFF' + columns.map(c => csvCell(c.header)).join(',') + '\r\n');
+  return {
+    write: row => res.write(columns.map(c => csvCell(row[c.key])).join(',') + '\r\n'),
+    end: () => res.end(),
+    abort: () => res.destroy()
+  };
+}
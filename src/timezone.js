@@ -0,0 +1,92 @@
+// Timestamps are stored in UTC. Calendar days (entry dates, event periods,
+// month filters) are read in the application timezone, APP_TIMEZONE (an IANA
+// name such as Asia/Manila), or in the user's own timezone when they set one.
+
+export const DEFAULT_TIMEZONE = 'Asia/Manila';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function isValidTimezone(tz) {
+  if (typeof tz !== 'string' || !tz) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Read lazily so .env has been loaded by the time it is first needed
+export function appTimezone() {
+  return process.env.APP_TIMEZONE || DEFAULT_TIMEZONE;
+}
+
+// The zone a logged-in request's days are counted in
+export function requestTimezone(req) {
+  return (req.session && req.session.timezone) || appTimezone();
+}
+
+function zonedParts(instant, tz) {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: tz, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(instant);
+  const get = type => parts.find(p => p.type === type).value;
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    time: `${get('hour')}:${get('minute')}:${get('second')}`
+  };
+}
+
+// Calendar date (YYYY-MM-DD) of an instant in the given zone
+export function localDate(instant, tz = appTimezone()) {
+  return zonedParts(instant, tz).date;
+}
+
+// 'YYYY-MM-DD HH:MM:SS' wall-clock time of an instant in the given zone
+export function localDateTime(instant, tz = appTimezone()) {
+  const { date, time } = zonedParts(instant, tz);
+  return `${date} ${time}`;
+}
+
+function toSqlite(instant) {
+  return instant.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// UTC timestamp, as stored by SQLite, of the midnight that starts a local day.
+// Compare it against stored timestamps to filter them by local calendar day.
+export function startOfDayUtc(date, tz = appTimezone()) {
+  const wall = new Date(`${date}T00:00:00Z`).getTime();
+  const offsetAt = t => new Date(`${localDateTime(new Date(t), tz).replace(' ', 'T')}Z`).getTime() - t;
+  // Second pass corrects for a DST change between the guess and the answer
+  let utc = wall - offsetAt(wall);
+  utc = wall - offsetAt(utc);
+  return toSqlite(new Date(utc));
+}
+
+export function todayIn(tz = appTimezone()) {
+  return localDate(new Date(), tz);
+}
+
+export function currentMonth(tz = appTimezone()) {
+  return todayIn(tz).slice(0, 7);
+}
+
+// Plain calendar arithmetic on YYYY-MM-DD strings
+export function addDays(date, days) {
+  return new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// [start, end) dates covering a YYYY-MM month
+export function monthBounds(month) {
+  const [y, m] = month.split('-').map(Number);
+  const next = m === 12 ? `${y + 1}-01` : `${y}-${String(m + 1).padStart(2, '0')}`;
+  return { start: `${month}-01`, end: `${next}-01` };
+}
+
+// SQLite DATETIME text ('YYYY-MM-DD HH:MM:SS', UTC) to a Date
+export function parseUtc(value) {
+  if (!value) return null;
+  const date = new Date(`${String(value).replace(' ', 'T')}Z`);
+  return isNaN(date.getTime()) ? null : date;
+}
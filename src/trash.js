@@ -0,0 +1,183 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { recordAudit } from './auditLog.js';
+import { getDb, transaction } from './db.js';
+import { wrap } from './migrate.js';
+
+const db = getDb();
+const q = wrap(db);
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const uploadDir = path.join(__dirname, '..', 'uploads');
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Records that can be in the trash, by table. noun names them in audit actions.
+export const TRASH_TYPES = {
+  entries: { noun: 'entry' },
+  users: { noun: 'user' },
+  events: { noun: 'event' }
+};
+
+// Days a deleted record can still be restored (TRASH_RETENTION_DAYS, default 30)
+export function retentionDays() {
+  const days = Number(process.env.TRASH_RETENTION_DAYS);
+  return Number.isInteger(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+function retentionModifier() {
+  return `+${retentionDays()} days`;
+}
+
+// Everything in the trash, most recently deleted first, with the time each
+// record will be purged. Entries of runners who are themselves in the trash
+// are listed with the runner, since they come back (or go) together.
+export async function fetchTrash() {
+  const modifier = retentionModifier();
+  const entries = await q.all(
+    `SELECT e.id, e.user_id, u.email, e.entry_date as date, e.km_run as km, e.hours, e.status, e.source,
+            ev.name as event_name, e.deleted_at, d.email as deleted_by_email,
+            datetime(e.deleted_at, ?) as purge_at
+     FROM entries e
+     JOIN users u ON u.id = e.user_id
+     LEFT JOIN events ev ON ev.id = e.event_id
+     LEFT JOIN users d ON d.id = e.deleted_by
+     WHERE e.deleted_at IS NOT NULL AND u.deleted_at IS NULL
+     ORDER BY e.deleted_at DESC, e.id DESC`,
+    [modifier]
+  );
+  const users = await q.all(
+    `SELECT u.id, u.email, u.gender, u.created_at, u.deleted_at, d.email as deleted_by_email,
+            datetime(u.deleted_at, ?) as purge_at,
+            (SELECT COUNT(*) FROM entries e WHERE e.user_id = u.id AND e.deleted_at IS NULL) as entry_count
+     FROM users u
+     LEFT JOIN users d ON d.id = u.deleted_by
+     WHERE u.deleted_at IS NOT NULL
+     ORDER BY u.deleted_at DESC, u.id DESC`,
+    [modifier]
+  );
+  const events = await q.all(
+    `SELECT ev.id, ev.name, ev.start_date, ev.end_date, ev.status, ev.deleted_at, d.email as deleted_by_email,
+            datetime(ev.deleted_at, ?) as purge_at,
+            (SELECT COUNT(*) FROM event_participants ep WHERE ep.event_id = ev.id) as participant_count
+     FROM events ev
+     LEFT JOIN users d ON d.id = ev.deleted_by
+     WHERE ev.deleted_at IS NOT NULL
+     ORDER BY ev.deleted_at DESC, ev.id DESC`,
+    [modifier]
+  );
+  return { retention_days: retentionDays(), entries, users, events };
+}
+
+// Takes a record out of the trash. Resolves with the restored row, or null
+// if it isn't in the trash.
+export async function restoreRecord(table, id) {
+  if (!TRASH_TYPES[table]) throw new Error(`Unknown trash type: ${table}`);
+  const { changes } = await q.run(
+    `UPDATE ${table} SET deleted_at = NULL, deleted_by = NULL WHERE id = ? AND deleted_at IS NOT NULL`,
+    [id]
+  );
+  return changes > 0 ? q.get(`SELECT * FROM ${table} WHERE id = ?`, [id]) : null;
+}
+
+function removeFiles(filenames) {
+  for (const filename of filenames) {
+    if (filename) fs.unlink(path.join(uploadDir, filename), () => {});
+  }
+}
+
+// Screenshot and activity files to delete once the purge has committed
+async function filesWhere(tx, column, id) {
+  const rows = await tx.all(
+    `SELECT filename FROM uploads WHERE ${column} = ?
+     UNION ALL
+     SELECT filename FROM activity_tracks WHERE ${column} = ?`,
+    [id, id]
+  );
+  return rows.map(r => r.filename);
+}
+
+// An entry with its screenshot and activity file
+function purgeEntry(id) {
+  return transaction(async (tx) => {
+    const files = await filesWhere(tx, 'entry_id', id);
+    await tx.run('DELETE FROM uploads WHERE entry_id = ?', [id]);
+    await tx.run('DELETE FROM activity_tracks WHERE entry_id = ?', [id]);
+    await tx.run('DELETE FROM entries WHERE id = ?', [id]);
+    return files;
+  });
+}
+
+// A runner with everything that belongs to them, their avatar included. Their
+// rows in frozen event results go too; the other runners keep their ranks.
+function purgeUser(id) {
+  return transaction(async (tx) => {
+    const files = await filesWhere(tx, 'user_id', id);
+    const { avatar_filename: avatar } = (await tx.get('SELECT avatar_filename FROM users WHERE id = ?', [id])) || {};
+    files.push(avatar);
+    for (const table of ['uploads', 'activity_tracks', 'entries', 'event_participants', 'event_waitlist',
+      'team_members', 'event_results', 'user_achievements', 'api_tokens', 'password_resets']) {
+      await tx.run(`DELETE FROM ${table} WHERE user_id = ?`, [id]);
+    }
+    await tx.run('DELETE FROM users WHERE id = ?', [id]);
+    return files;
+  });
+}
+
+// An event with its participants, event teams, results and badges. Runners
+// keep the entries they logged for it; those just no longer belong to an event.
+function purgeEvent(id) {
+  return transaction(async (tx) => {
+    for (const table of ['event_results', 'event_team_results', 'user_achievements', 'event_participants',
+      'event_waitlist', 'team_members']) {
+      await tx.run(`DELETE FROM ${table} WHERE event_id = ?`, [id]);
+    }
+    await tx.run('UPDATE entries SET event_id = NULL WHERE event_id = ?', [id]);
+    await tx.run('DELETE FROM events WHERE id = ?', [id]);
+    return [];
+  });
+}
+
+const PURGE = { entries: purgeEntry, users: purgeUser, events: purgeEvent };
+
+// Permanently removes every record that has been in the trash longer than the
+// retention window, together with its files. Resolves with the number purged.
+export async function runPurge({ log } = {}) {
+  let purged = 0;
+  for (const [table, { noun }] of Object.entries(TRASH_TYPES)) {
+    const expired = await q.all(
+      `SELECT * FROM ${table} WHERE deleted_at IS NOT NULL AND deleted_at <= datetime('now', ?)`,
+      [`-${retentionDays()} days`]
+    );
+    for (const row of expired) {
+      const files = await PURGE[table](row.id);
+      removeFiles(files);
+      recordAudit(null, {
+        action: `${noun}.purge`,
+        targetType: table,
+        targetId: row.id,
+        subjectUserId: table === 'users' ? row.id : row.user_id || null,
+        before: row
+      });
+      if (log) log(`Purged ${noun} ${row.id} from the trash`);
+      purged++;
+    }
+  }
+  return purged;
+}
+
+let timer = null;
+
+// Runs the purge once now and then every intervalMs (default one hour)
+export function startPurgeJob({ intervalMs = 60 * 60 * 1000, log } = {}) {
+  if (timer) return timer;
+  const tick = () => runPurge({ log }).catch(err => {
+    if (log) log(`Trash purge failed: ${err.message}`);
+  });
+  tick();
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,216 @@
+import crypto from 'crypto';
+import { getDb } from './db.js';
+import { wrap } from './migrate.js';
+
+const db = getDb();
+const q = wrap(db);
+
+export const WEBHOOK_EVENTS = [
+  'entry.created',
+  'entry.updated',
+  'entry.reviewed',
+  'entry.deleted',
+  'event.created',
+  'event.ended',
+  'participant.joined'
+];
+
+// Seconds to wait before each retry; a delivery is given up after the last one
+const RETRY_DELAYS = [60, 5 * 60, 30 * 60, 2 * 60 * 60];
+const MAX_ATTEMPTS = RETRY_DELAYS.length + 1;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+export function parseEvents(text) {
+  return String(text || '').split(',').filter(Boolean);
+}
+
+// Validates the webhook fields from a request body. Returns { values } or { error }.
+// On update, fields that are left out keep their current value.
+export function webhookFromBody(body, current = null) {
+  const url = body.url !== undefined ? String(body.url).trim() : current && current.url;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return { error: 'A valid URL is required' };
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return { error: 'URL must be http or https' };
+
+  let events = current ? parseEvents(current.events) : [];
+  if (body.events !== undefined) {
+    events = Array.isArray(body.events) ? body.events : parseEvents(body.events);
+    const unknown = events.find(e => !WEBHOOK_EVENTS.includes(e));
+    if (unknown) return { error: `Unknown webhook event: ${unknown}` };
+  }
+  if (events.length === 0) return { error: 'Pick at least one event' };
+
+  const secret = body.secret ? String(body.secret) : current ? current.secret : crypto.randomBytes(24).toString('hex');
+  const description = body.description !== undefined ? String(body.description || '').trim() || null : current && current.description;
+  const active = body.active !== undefined ? (body.active ? 1 : 0) : current ? current.active : 1;
+  return {
+    values: {
+      url,
+      secret,
+      description,
+      active,
+      events: WEBHOOK_EVENTS.filter(e => events.includes(e)).join(',')
+    }
+  };
+}
+
+// Hex HMAC-SHA256 of the body with the webhook's secret, sent as
+// X-Webhook-Signature: sha256=<hex>
+export function signPayload(secret, body) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+async function send(delivery) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'LSR-Tracker-Webhooks',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Signature': `sha256=${signPayload(delivery.secret, delivery.payload)}`
+      },
+      body: delivery.payload,
+      signal: controller.signal
+    });
+    return { status: response.status, ok: response.ok };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// One attempt at a delivery. The row is claimed first so the dispatcher and an
+// immediate send never post the same delivery twice.
+async function attemptDelivery(deliveryId) {
+  const claimed = await q.run(
+    "UPDATE webhook_deliveries SET status = 'sending' WHERE id = ? AND status = 'pending'",
+    [deliveryId]
+  );
+  if (!claimed.changes) return;
+  const delivery = await q.get(
+    `SELECT d.id, d.event, d.payload, d.attempts, w.url, w.secret, w.active
+     FROM webhook_deliveries d
+     JOIN webhooks w ON w.id = d.webhook_id
+     WHERE d.id = ?`,
+    [deliveryId]
+  );
+  if (!delivery) return;
+  if (!delivery.active) {
+    await q.run(
+      "UPDATE webhook_deliveries SET status = 'failed', last_error = 'Webhook is disabled' WHERE id = ?",
+      [deliveryId]
+    );
+    return;
+  }
+
+  const attempts = delivery.attempts + 1;
+  let result;
+  try {
+    result = await send(delivery);
+  } catch (err) {
+    result = { status: null, ok: false, error: err.name === 'AbortError' ? 'Timed out' : err.message };
+  }
+
+  if (result.ok) {
+    await q.run(
+      `UPDATE webhook_deliveries SET status = 'delivered', attempts = ?, response_status = ?, last_error = NULL,
+              next_attempt_at = NULL, delivered_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [attempts, result.status, deliveryId]
+    );
+    return;
+  }
+
+  const error = result.error || `HTTP ${result.status}`;
+  if (attempts >= MAX_ATTEMPTS) {
+    await q.run(
+      `UPDATE webhook_deliveries SET status = 'failed', attempts = ?, response_status = ?, last_error = ?, next_attempt_at = NULL
+       WHERE id = ?`,
+      [attempts, result.status, error, deliveryId]
+    );
+    return;
+  }
+  await q.run(
+    `UPDATE webhook_deliveries SET status = 'pending', attempts = ?, response_status = ?, last_error = ?,
+            next_attempt_at = datetime('now', ?)
+     WHERE id = ?`,
+    [attempts, result.status, error, `+${RETRY_DELAYS[attempts - 1]} seconds`, deliveryId]
+  );
+}
+
+function deliverSoon(deliveryId) {
+  attemptDelivery(deliveryId).catch(err => {
+    // eslint-disable-next-line no-console
+    console.error(`Webhook delivery ${deliveryId} failed:`, err.message);
+  });
+}
+
+// Queues the event for every active webhook subscribed to it and sends right
+// away. Never fails the caller: routes fire this after their response is decided.
+export function emitWebhook(event, data) {
+  const body = JSON.stringify({ event, created_at: new Date().toISOString(), data });
+  (async () => {
+    const hooks = await q.all('SELECT id, events FROM webhooks WHERE active = 1');
+    for (const hook of hooks) {
+      if (!parseEvents(hook.events).includes(event)) continue;
+      const { lastID } = await q.run(
+        'INSERT INTO webhook_deliveries (webhook_id, event, payload) VALUES (?, ?, ?)',
+        [hook.id, event, body]
+      );
+      deliverSoon(lastID);
+    }
+  })().catch(err => {
+    // eslint-disable-next-line no-console
+    console.error(`Queueing webhook ${event} failed:`, err.message);
+  });
+}
+
+// Sends the same body again as a new delivery. Resolves with the new
+// delivery's id, or null if there is no such delivery.
+export async function redeliver(deliveryId) {
+  const original = await q.get('SELECT webhook_id, event, payload FROM webhook_deliveries WHERE id = ?', [deliveryId]);
+  if (!original) return null;
+  const { lastID } = await q.run(
+    'INSERT INTO webhook_deliveries (webhook_id, event, payload, redelivery_of) VALUES (?, ?, ?, ?)',
+    [original.webhook_id, original.event, original.payload, deliveryId]
+  );
+  await attemptDelivery(lastID);
+  return lastID;
+}
+
+// Sends every delivery whose retry is due. Resolves with the number attempted.
+export async function runWebhookRetries() {
+  const due = await q.all(
+    `SELECT id FROM webhook_deliveries
+     WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+     ORDER BY id ASC`
+  );
+  for (const d of due) await attemptDelivery(d.id);
+  return due.length;
+}
+
+let timer = null;
+
+// Retries failed deliveries every intervalMs (default 30 seconds). Deliveries
+// cut off mid-send by a restart are picked up again.
+export function startWebhookDispatcher({ intervalMs = 30 * 1000, log } = {}) {
+  if (timer) return timer;
+  const tick = () => runWebhookRetries().catch(err => {
+    if (log) log(`Webhook retry run failed: ${err.message}`);
+  });
+  q.run("UPDATE webhook_deliveries SET status = 'pending' WHERE status = 'sending'")
+    .catch(err => {
+      if (log) log(`Webhook recovery failed: ${err.message}`);
+    })
+    .then(tick);
+  timer = setInterval(tick, intervalMs);
+  timer.unref();
+  return timer;
+}